@@ -36,14 +36,15 @@
  *    - “Number of results” is now a dropdown with values 0–60; default is 20;
  *      the button label shows “Number of results: N”.
  *    - “Local library” toggle uses a pill-style control that scales with the card.
- *    - Media type dropdown provides: Artist / Track / Album / Playlist / Radio.
+ *    - Media type dropdown provides: All / Artist / Track / Album / Playlist / Radio.
  *    - Media player dropdown lists only MASS-enabled media_player entities
  *      (`attributes.mass_player_type` truthy).
  *    - All dropdowns support outside-click and ESC to close (bound/unbound in lifecycle).
  *
  * 5) Anti-spam & concurrency
- *    - Debounced search (500ms) + in-flight lock prevents multiple overlapping
- *      backend searches from rapid input or repeat clicks.
+ *    - Debounced search (500ms); an identical search that is still in flight is
+ *      not sent again, and a newer query supersedes an older one (`_searchSeq`):
+ *      responses that arrive out of order never overwrite fresher results.
  *    - While searching, the search button is disabled and shows a spinner.
  *    - Each result row’s “play” action is click-throttled: button disables and
  *      shows a mini spinner briefly, then re-enables (prevents rapid-fire
@@ -55,7 +56,8 @@
  *    - Fallback path uses `this._hass.connection.sendMessagePromise(...)` with
  *      `return_response: true` to handle supervisor/driver differences.
  *    - `play_media` calls are guarded (no call if player/type/uri is missing).
- *    - Errors surface to the user with a HA persistent notification toast.
+ *    - Errors surface to the user in the card (see 33); a HA persistent
+ *      notification is only added with `persistent_notifications: true`.
  *
  * 7) Security & content safety
  *    - No user text is injected with `innerHTML`; we always use `textContent`.
@@ -71,7 +73,7 @@
  *      to avoid overflow into adjacent controls.
  *    - The popup uses `width: min(420px, 92vw)` to fit small screens; max-height
  *      is constrained with scroll.
- *    - Provider icons (Spotify/YouTube Music/Library) shrink slightly on mobile.
+ *    - Provider icons shrink slightly on mobile.
  *
  * 9) Visual & accessibility details
  *    - Clear, consistent pill styles, border radii and focusless inputs to match
@@ -86,8 +88,9 @@
  *       No external requests, no CSP headaches.
  *
  * 11) Code hygiene & lifecycle
- *     - Global listeners (outside-click, ESC) are attached in `_wireStaticHandlers`
- *       and removed in `disconnectedCallback`.
+ *     - Global listeners (outside-click, ESC) are attached in `connectedCallback`
+ *       and removed in `disconnectedCallback`, so a card put back on the page
+ *       (view switch, re-layout) listens again.
  *     - Separation of concerns: `render()` (DOM), `_wireStaticHandlers()` (events),
  *       `_runSearch()` (logic), `_showPopup()` (results), small helpers for UI pieces.
  *
@@ -99,11 +102,495 @@
  *
  * 13) Misc
  *     - Enter submits; ESC closes dropdowns; outside-click closes dropdowns.
- *     - Card size hint kept at 8.
+ *     - Card size hints come from `LAYOUTS` (see 35).
+ *
+ * 14) Enqueue modes
+ *     - Every result row has a “⋮” action menu: play now / play next / add to
+ *       queue / replace / replace next, plus “start radio” (`radio_mode: true`).
+ *     - A plain click on the row uses `enqueue_mode` from the config (unset =
+ *       Music Assistant's own default) and the optional `radio_mode` flag.
+ *
+ * 15) Multi-type search
+ *     - “All” sends every media type in one `music_assistant.search` call; the
+ *       popup then groups results in collapsible sections with a count each.
+ *     - Rows carry the media type of the group they came from, so `play_media`
+ *       no longer depends on the global `selectedMediaType`.
+ *
+ * 16) Drill-down browsing
+ *     - Artist, album and playlist rows get a “›” button that opens a detail
+ *       view inside the same overlay, with a back button and a breadcrumb.
+ *     - Artist: top tracks + albums (`music_assistant.get_library`, filtered on
+ *       the artist). Album / playlist: its tracks from Music Assistant's media
+ *       browser (`media_player/browse_media` on one of its players, the item URI
+ *       as content id); the integration has no service that lists them.
+ *     - Views live on a small stack in `this._popup`; a response that arrives
+ *       after the user navigated away is kept but not painted.
+ *
+ * 17) Live search
+ *     - With `live_search: true` the card searches while typing (300ms debounce)
+ *       once `live_search_min_chars` (default 3) is reached, and renders the
+ *       results inline under the input instead of opening the popup.
+ *     - Dropping below the minimum clears the results and cancels the pending
+ *       search; validation hints show inline rather than as notifications.
+ *
+ * 18) Config validation & GUI editor
+ *     - `setConfig` is synchronous and validates against `CONFIG_SCHEMA`: unknown
+ *       keys and invalid values throw a readable error, which Home Assistant
+ *       renders as its standard config error card.
+ *     - `getConfigElement()` returns `mass-search-card-editor` (an `ha-form`), and
+ *       `getStubConfig()` preselects the first MASS player.
+ *     - `default_player`, `default_media_type`, `default_limit` and `library_only`
+ *       seed the dropdowns and checkbox; `hide_title` hides the title row.
+ *
+ * 19) Player list filtering
+ *     - `entities` is an allow-list of MASS players (also sets the order),
+ *       `exclude_entities` hides players, `player_names` overrides display names.
+ *     - The player list is rebuilt after every render, so the selected/default
+ *       player keeps its label across config changes.
+ *
+ * 20) Follow the active player
+ *     - With `follow_active: true` the card preselects the player that is playing
+ *       (or, with nothing selected yet, the most recently active one) and moves
+ *       along when another player starts, until the user picks one by hand.
+ *     - Player dropdown items show a state badge and the current track title.
+ *
+ * 21) Persistence & recent searches
+ *     - Last query, player, media type, limit and “Local library” are kept in
+ *       localStorage per browser and card (`storage_key`, or a hash of the
+ *       dashboard path + `config_entry` / `default_player` / `entities`); they win
+ *       over the config defaults on load. Other config edits keep the slot; when
+ *       it does move, the state moves along and the old slot is removed.
+ *     - The 🕘 button in the input pill lists the last `history_size` searches
+ *       (default 10, 0 hides it) to re-run with one click, plus “Clear history”.
+ *     - `persist_state: false` turns all of this off.
+ *
+ * 22) Now playing
+ *     - Compact section for the selected player: artwork, title, artist,
+ *       previous / play-pause / next, seek and volume sliders, all through the
+ *       standard `media_player` services. Updated from `set hass`, with a 1s
+ *       ticker for the position while playing (stopped in `disconnectedCallback`).
+ *     - Hidden when the player has nothing loaded; `show_now_playing: false` hides it.
+ *
+ * 23) Library & favourites
+ *     - Rows show the item's real `in_library` (falling back to provider
+ *       “library”) and `favorite` state as read-only markers (`LIBRARY_FLAGS`).
+ *     - Not toggles: Home Assistant's Music Assistant integration has no service
+ *       to add to or remove from the library or the favourites.
+ *
+ * 24) Provider badges
+ *     - Badges come from `provider_mappings` (else `provider`, else the URI
+ *       scheme) instead of URI substring guesses, looked up in `PROVIDERS`;
+ *       `providers:` in the config adds or overrides entries (name, icon URL,
+ *       or short letters + color for a drawn badge).
+ *     - The best reported audio format is shown next to them (“Lossless 24/96”).
+ *
+ * 25) Multi-room
+ *     - `selectedMediaPlayers` holds every target; `selectedMediaPlayer` is kept as
+ *       an accessor for the first one (now playing, validation, group leader).
+ *     - The player dropdown has a checkbox per player, “select all”, presets from
+ *       `player_presets` and, with several players, a “play in sync” toggle
+ *       (default `group_players`): grouped → `media_player.join` behind the first
+ *       player, then play there; otherwise `play_media` targets all of them.
+ *
+ * 26) Keyboard & screen readers
+ *     - Dropdowns are button + `role="listbox"` with `role="option"` items and
+ *       `aria-expanded` / `aria-selected`; arrows, Home/End and type-ahead move
+ *       between options, Enter picks, Space toggles a player checkbox, Escape /
+ *       Tab close and return focus to the button.
+ *     - The player list is only rebuilt when its players, their states or the
+ *       selection change, and keeps focus on the same option when it is.
+ *     - The popup is a `role="dialog"` with `aria-modal`, labelled by its title;
+ *       Tab is trapped inside, Escape closes it and focus returns to the opener.
+ *       Up/Down/Home/End move between result rows, Enter plays the focused one.
+ *     - A polite live region announces “searching”, “N results” and “now playing”.
+ *
+ * 27) Result metadata, sorting & filtering
+ *     - Rows get a third line with duration (or “unknown duration” for tracks),
+ *       year, album type and track count, an “E” badge for explicit items, and the
+ *       owner instead of the generic “Playlist” label for playlists.
+ *     - The popup has a toolbar with a sort dropdown (`SORT_MODES`) and a text
+ *       filter on name / artist / album / owner. Both work on the results already
+ *       fetched (no new query) and are kept per view while drilling down.
+ *
+ * 28) Paging & long lists
+ *     - The results dropdown is now the page size. Search popups end in a
+ *       “Load more” button that also loads by itself when scrolled into view
+ *       (infinite scroll). `music_assistant.search` has no offset, so the next page
+ *       is the same search with a larger `limit`, minus what is already shown;
+ *       a type is done once it returns fewer items than asked for.
+ *       After a failed page the button waits for a click or Retry; a limit of 0
+ *       (Music Assistant's default) is not paged.
+ *     - Groups longer than `VIRTUALIZE_AFTER` rows are virtualized (fixed
+ *       `ROW_HEIGHT`, only the rows around the viewport are rendered).
+ *     - Artwork uses `loading="lazy"`, so off-screen rows do not fetch images.
+ *
+ * 29) Events & URL prefill
+ *     - The card dispatches `mass-search-card-search` (query, media type, result
+ *       count) and `mass-search-card-played` (item, players, enqueue) DOM events;
+ *       both bubble and cross shadow roots.
+ *     - After a play it also fires `mass_search_card_played` on the Home Assistant
+ *       bus when the user is an admin (the only ones Home Assistant lets fire
+ *       events); `fire_event: false` turns that off for admins too.
+ *     - `URL_PARAMS` in the query string or hash prefill the query / type / player
+ *       and run the search once; they are then removed from the URL. Read on
+ *       load, on `location-changed` / `hashchange` and when the card is put back
+ *       on the page (a link followed from another view).
+ *
+ * 30) Row gestures
+ *     - `tap_action` / `hold_action` / `double_tap_action` follow the Lovelace
+ *       pattern with card-specific actions (`ROW_ACTIONS`): play, enqueue, radio,
+ *       details, menu, or `perform-action` with the item
+ *       templated into `data` / `target`. Defaults: tap plays, hold opens ⋮.
+ *     - Hold uses pointer events (touch, pen, mouse) and swallows the click that
+ *       follows; a double-tap action delays the single tap by `DOUBLE_TAP_MS`.
+ *       Keyboard activation (Enter) is always a tap, without delay.
+ *
+ * 31) Result cache
+ *     - Searches are cached by their payload key (query, type(s), limit, library
+ *       flag, config entry). Within `cache_ttl` an identical search is answered
+ *       from memory; otherwise cached results (memory, or the last `cache_size`
+ *       searches in localStorage) show at once with a “refreshing” line and are
+ *       replaced in place when the call returns.
+ *     - If the call fails, cached results stay up marked as stale (with their
+ *       time) instead of only the error notification.
+ *
+ * 32) Several Music Assistant servers
+ *     - All `music_assistant` config entries are loaded once. The entry in use is
+ *       the one last picked on this device, else `config_entry` (entry id or
+ *       title), else the first loaded one; a server dropdown appears when there
+ *       are several.
+ *     - Players are tied to their entry through their device, so the player list
+ *       (and with it every search and play) only covers the current server.
+ *     - A missing integration, an unknown `config_entry` or an entry that is not
+ *       loaded shows as an error line on the card and blocks searching; entries are
+ *       re-read before the next search in case that changed.
+ *
+ * 33) In-card feedback
+ *     - A missing player / media type marks that dropdown (`aria-invalid`) with a
+ *       hint under the row, cleared once something is picked.
+ *     - Failures show a dismissible banner with the backend's error detail and a
+ *       “Retry” button (in the popup when it is open, else on the card).
+ *     - A successful play shows a short snackbar.
+ *     - `persistent_notification` is only used with `persistent_notifications: true`.
+ *
+ * 34) Translations
+ *     - Strings live in the module-level `TRANSLATIONS` registry (now also `sk`;
+ *       `cz` is an alias of `cs`). A language resolves regional → base → English
+ *       per key, so a missing string shows in English instead of `undefined`.
+ *     - `translations:` in the config overrides keys or adds languages, and
+ *       `MassSearchCard.addTranslations()` lets other scripts register one.
+ *     - Counts use Intl.PluralRules / NumberFormat (`_plural`), times use the
+ *       card's locale; alt texts, the notification title, the media type in the
+ *       popup title and the editor labels (`editor_*`) are translated.
+ *     - Without `language:` the card follows `hass.language`, also when it
+ *       changes after load (the card re-renders).
+ *
+ * 35) Layouts & theming
+ *     - `layout: compact` is one search bar (results in the popup, no now playing
+ *       unless asked for); `inline` renders the results view inside the card
+ *       instead of a dialog; `panel` does the same and fills a panel view.
+ *       `results_view: grid` shows results as artwork tiles (not virtualized).
+ *     - Sizes come from `LAYOUTS`: `getCardSize()` for masonry, `getLayoutOptions()`
+ *       and `getGridOptions()` for sections views.
+ *     - Colours, borders, radii, shadow and sizes are `--mass-search-*` custom
+ *       properties with the previous look as defaults; `hide_logo` hides the logo.
+ *
+ * 36) Query parsing & voice
+ *     - `parseQuery` turns "play album Abbey Road by The Beatles", "play radio 538 in
+ *       kitchen" or "playlist:chill" into name, media type, artist and player
+ *       (keywords per language in `QUERY_WORDS`, English always understood). The
+ *       player dropdown follows; the type is used for that search only (the media
+ *       type dropdown keeps its value); the artist goes to the search service.
+ *     - A type word only counts after a play word or as a `type:` prefix, "by …"
+ *       only after either, "in …" only when it names a player, so "Radio Ga Ga"
+ *       and "Stand by Me" stay titles; "quoted words" are never keywords.
+ *       `parse_query: false` turns it off.
+ *     - `voice_search` adds a 🎤 button (Web Speech API, where the browser has it)
+ *       that fills the input and searches when the phrase is final.
+ *
+ * 37) Tests
+ *     - `npm test` runs test/*.test.js with node:test on happy-dom, offline: the
+ *       card script is loaded as Home Assistant loads it and gets a fake `hass`
+ *       (test/helpers.js) that records service / API / websocket calls and answers
+ *       with canned Music Assistant responses.
  *
  * ──────────────────────────────────────────────────────────────────────────────
  */
 
+// Music Assistant `enqueue` options, in the order they appear in the row menu.
+const ENQUEUE_MODES = ['play', 'next', 'add', 'replace', 'replace_next'];
+
+// Searchable media types and the response key each one comes back under, in display order.
+const RESULT_GROUPS = [
+  { type: 'artist', key: 'artists' },
+  { type: 'track', key: 'tracks' },
+  { type: 'album', key: 'albums' },
+  { type: 'radio', key: 'radio' },
+  { type: 'playlist', key: 'playlists' },
+];
+
+// Library / favourite markers on result rows: the item field that holds the state, its icon
+// and the translation key of its label.
+const LIBRARY_FLAGS = [
+  { field: 'in_library', icon: '✓', label: 'in_library' },
+  { field: 'favorite', icon: '♥', label: 'is_favorite' },
+];
+
+// Music Assistant provider domains → badge. `short` + `color` draw a lettered badge when
+// there is no icon; Spotify, YouTube Music and the library keep their drawn icons.
+// Entries under the `providers:` config key are merged over these.
+const PROVIDERS = {
+  library: { name: 'Library' },
+  spotify: { name: 'Spotify' },
+  ytmusic: { name: 'YouTube Music' },
+  tidal: { name: 'Tidal', short: 'T', color: '#000000' },
+  qobuz: { name: 'Qobuz', short: 'Q', color: '#0070ef' },
+  deezer: { name: 'Deezer', short: 'D', color: '#a238ff' },
+  apple_music: { name: 'Apple Music', short: 'A', color: '#fa233b' },
+  soundcloud: { name: 'SoundCloud', short: 'SC', color: '#ff5500' },
+  tunein: { name: 'TuneIn', short: 'TI', color: '#14d8cc' },
+  plex: { name: 'Plex', short: 'P', color: '#e5a00d' },
+  jellyfin: { name: 'Jellyfin', short: 'J', color: '#aa5cc3' },
+  opensubsonic: { name: 'Subsonic', short: 'S', color: '#ffb300' },
+  subsonic: { name: 'Subsonic', short: 'S', color: '#ffb300' },
+  filesystem_local: { name: 'Filesystem', short: 'FS', color: '#607d8b' },
+  filesystem_smb: { name: 'Filesystem (SMB)', short: 'FS', color: '#607d8b' },
+  radiobrowser: { name: 'RadioBrowser', short: 'RB', color: '#2e7d32' },
+};
+
+// Sort options in the popup toolbar. `relevance` keeps Music Assistant's order; items
+// without a year or duration sort last.
+const SORT_MODES = ['relevance', 'name', 'year', 'duration'];
+
+// Lists longer than this are virtualized: only rows near the visible area are in the DOM.
+// ROW_HEIGHT is the fixed row pitch there (64px row, see `.virtual-list`, + 8px gap).
+const VIRTUALIZE_AFTER = 100;
+const ROW_HEIGHT = 72;
+const VIRTUAL_OVERSCAN = 6;
+
+// What a gesture on a result row can do (`tap_action`, `hold_action`, `double_tap_action`),
+// and the defaults. `perform-action` / `call-service` call any service with `{{ uri }}`,
+// `{{ name }}`, `{{ media_type }}` and `{{ player }}` filled in.
+const ROW_ACTIONS = ['play', 'enqueue', 'radio', 'details', 'menu', 'perform-action', 'call-service', 'none'];
+const DEFAULT_ROW_ACTIONS = { tap_action: { action: 'play' }, hold_action: { action: 'menu' }, double_tap_action: { action: 'none' } };
+const HOLD_MS = 500;
+const DOUBLE_TAP_MS = 250;
+
+// Search results cache. Memory entries younger than `cache_ttl` are reused without a new
+// call; older ones and the last `cache_size` searches kept in localStorage (shared by all
+// cards in this browser) show at once while the search refreshes, or when it fails.
+const CACHE_STORAGE_KEY = 'mass-search-card:cache';
+const CACHE_TTL = 300;
+const CACHE_SIZE = 10;
+const MEMORY_CACHE_SIZE = 50;
+
+// URL parameters (query string or hash) that prefill and run a search, e.g.
+// /lovelace/music?mass_query=queen&mass_type=album#… or /lovelace/music#mass_query=queen
+const URL_PARAMS = { query: 'mass_query', type: 'mass_type', player: 'mass_player' };
+
+// Home Assistant bus event fired after something was played, for admin users (unless `fire_event: false`).
+const PLAYED_EVENT = 'mass_search_card_played';
+
+// Card layouts and the size each reports: `cardSize` for masonry views (50px units),
+// `rows` / `columns` / `minRows` for sections views (56px rows, 12 columns).
+const LAYOUTS = {
+  default: { cardSize: 7, rows: 'auto', columns: 12, minRows: 5 },
+  compact: { cardSize: 2, rows: 2, columns: 12, minRows: 1 },
+  inline: { cardSize: 12, rows: 10, columns: 12, minRows: 6 },
+  panel: { cardSize: 16, rows: 'auto', columns: 'full', minRows: 8 },
+};
+
+const LOSSLESS_FORMATS = ['flac', 'alac', 'wav', 'aiff', 'ape', 'wavpack', 'dsf', 'dff', 'pcm'];
+
+const PLAYER_ID = /^media_player\.\w+$/;
+
+// Every option the card accepts. `setConfig` rejects anything else so typos surface
+// as Home Assistant's config error card instead of being silently ignored.
+const CONFIG_SCHEMA = {
+  type: { type: 'string' },
+  language: { type: 'string' },
+  default_player: { type: 'string', pattern: PLAYER_ID, hint: 'a media_player entity id' },
+  entities: { type: 'players' },
+  exclude_entities: { type: 'players' },
+  player_names: { type: 'names' },
+  default_media_type: { enum: ['all', ...RESULT_GROUPS.map((g) => g.type)] },
+  default_limit: { type: 'integer', min: 0, max: 60 },
+  library_only: { type: 'boolean' },
+  enqueue_mode: { enum: ENQUEUE_MODES },
+  radio_mode: { type: 'boolean' },
+  live_search: { type: 'boolean' },
+  live_search_min_chars: { type: 'integer', min: 1, max: 20 },
+  hide_title: { type: 'boolean' },
+  follow_active: { type: 'boolean' },
+  persist_state: { type: 'boolean' },
+  storage_key: { type: 'string' },
+  history_size: { type: 'integer', min: 0, max: 50 },
+  show_now_playing: { type: 'boolean' },
+  providers: { type: 'providers' },
+  group_players: { type: 'boolean' },
+  player_presets: { type: 'presets' },
+  fire_event: { type: 'boolean' },
+  tap_action: { type: 'action' },
+  hold_action: { type: 'action' },
+  double_tap_action: { type: 'action' },
+  cache_ttl: { type: 'integer', min: 0, max: 86400 },
+  cache_size: { type: 'integer', min: 0, max: 50 },
+  config_entry: { type: 'string' },
+  persistent_notifications: { type: 'boolean' },
+  translations: { type: 'translations' },
+  layout: { enum: Object.keys(LAYOUTS) },
+  results_view: { enum: ['list', 'grid'] },
+  hide_logo: { type: 'boolean' },
+  parse_query: { type: 'boolean' },
+  voice_search: { type: 'boolean' },
+};
+
+// Keys Home Assistant or popular frontend add-ons put on any card config
+const PASSTHROUGH_KEYS = ['view_layout', 'layout_options', 'grid_options', 'visibility', 'card_mod'];
+
+function validateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('Invalid configuration');
+  Object.entries(config).forEach(([key, value]) => {
+    if (PASSTHROUGH_KEYS.includes(key)) return;
+    const rule = CONFIG_SCHEMA[key];
+    if (!rule) throw new Error(`Unknown option "${key}". Supported options: ${Object.keys(CONFIG_SCHEMA).filter((k) => k !== 'type').join(', ')}`);
+    if (value === undefined || value === null) return;
+    const got = `(got ${JSON.stringify(value)})`;
+    if (rule.enum && !rule.enum.includes(value)) throw new Error(`"${key}" must be one of: ${rule.enum.join(', ')} ${got}`);
+    if (rule.type === 'boolean' && typeof value !== 'boolean') throw new Error(`"${key}" must be true or false ${got}`);
+    if (rule.type === 'string' && typeof value !== 'string') throw new Error(`"${key}" must be text ${got}`);
+    if (rule.pattern && !rule.pattern.test(value)) throw new Error(`"${key}" must be ${rule.hint} ${got}`);
+    if (rule.type === 'players' && !(Array.isArray(value) && value.every((v) => typeof v === 'string' && PLAYER_ID.test(v)))) {
+      throw new Error(`"${key}" must be a list of media_player entity ids ${got}`);
+    }
+    if (rule.type === 'names' && !(typeof value === 'object' && !Array.isArray(value)
+      && Object.entries(value).every(([id, name]) => PLAYER_ID.test(id) && typeof name === 'string'))) {
+      throw new Error(`"${key}" must map media_player entity ids to display names ${got}`);
+    }
+    if (rule.type === 'providers' && !(typeof value === 'object' && !Array.isArray(value)
+      && Object.values(value).every((p) => p && typeof p === 'object' && Object.values(p).every((v) => typeof v === 'string')))) {
+      throw new Error(`"${key}" must map provider domains to { name, icon, short, color } ${got}`);
+    }
+    if (rule.type === 'presets' && !(Array.isArray(value) && value.every((p) => p && typeof p.name === 'string'
+      && Array.isArray(p.entities) && p.entities.every((id) => typeof id === 'string' && PLAYER_ID.test(id))))) {
+      throw new Error(`"${key}" must be a list of { name, entities: [media_player ids] } ${got}`);
+    }
+    if (rule.type === 'action') {
+      if (!(typeof value === 'object' && ROW_ACTIONS.includes(value.action))) {
+        throw new Error(`"${key}" must be { action: ${ROW_ACTIONS.join(' | ')} } ${got}`);
+      }
+      if (value.enqueue !== undefined && !ENQUEUE_MODES.includes(value.enqueue)) {
+        throw new Error(`"${key}.enqueue" must be one of: ${ENQUEUE_MODES.join(', ')} ${got}`);
+      }
+      if (['perform-action', 'call-service'].includes(value.action) && !/^\w+\.\w+$/.test(value.perform_action || value.service || '')) {
+        throw new Error(`"${key}" needs perform_action: domain.service ${got}`);
+      }
+    }
+    if (rule.type === 'translations') {
+      const isText = (t) => typeof t === 'string' || (t && typeof t === 'object' && Object.values(t).every((form) => typeof form === 'string'));
+      if (!(typeof value === 'object' && !Array.isArray(value)
+        && Object.values(value).every((strings) => strings && typeof strings === 'object' && Object.values(strings).every(isText)))) {
+        throw new Error(`"${key}" must map languages to { key: text } ${got}`);
+      }
+    }
+    if (rule.type === 'integer' && !(Number.isInteger(value) && value >= rule.min && value <= rule.max)) {
+      throw new Error(`"${key}" must be a whole number from ${rule.min} to ${rule.max} ${got}`);
+    }
+  });
+}
+
+// Strings per language, one line each. Lookups go regional → base language → English per
+// key (`pt-BR` → `pt` → `en`), and `translations:` in the card config overrides or adds keys
+// and whole languages. Plural strings are { one, few, many, other } for Intl.PluralRules.
+const TRANSLATIONS = {
+  nl:{album_label:'Album',album_type_album:'Album',album_type_compilation:'Compilatie',album_type_ep:'EP',album_type_single:'Single',all_label:'Alles',artist_label:'Artiest',artwork_alt:'Hoes',back_button:'Terug',clear_history:'Geschiedenis wissen',close_button:'Sluiten',dismiss:'Sluiten',dropdown_label_media_player:'Selecteer een media player',editor_cache_size:'Zoekopdrachten bewaren voor offline weergave',editor_cache_ttl:'Gelijke zoekopdrachten hergebruiken (seconden)',editor_config_entry:'Music Assistant-server',editor_default_limit:'Standaard aantal resultaten',editor_default_media_type:'Standaard soort media',editor_default_player:'Standaard media player',editor_enqueue_mode:'Wachtrijmodus',editor_entities:'Alleen deze spelers tonen',editor_exclude_entities:'Deze spelers verbergen',editor_fire_event:'Een event afvuren bij het afspelen',editor_follow_active:'Actieve speler volgen',editor_group_players:'Spelers groeperen voor het afspelen',editor_hide_logo:'Logo verbergen',editor_hide_title:'Titel verbergen',editor_history_size:'Aantal recente zoekopdrachten',editor_language:'Taal',editor_layout:'Indeling',editor_library_only:'Alleen lokale bibliotheek',editor_live_search:'Zoeken tijdens het typen',editor_live_search_min_chars:'Minimum aantal tekens voor live zoeken',editor_parse_query:'Zinnen als "speel album … van …" begrijpen',editor_persist_state:'Keuzes onthouden op dit apparaat',editor_persistent_notifications:'Fouten ook als Home Assistant-melding tonen',editor_player_names:'Weergavenamen van spelers (entity_id: naam)',editor_radio_mode:'Radiomodus',editor_results_view:'Resultaten als',editor_show_now_playing:'Speelt nu tonen',editor_voice_search:'Microfoonknop',enqueue_add:'Toevoegen aan wachtrij',enqueue_next:'Hierna afspelen',enqueue_play:'Nu afspelen',enqueue_replace:'Wachtrij vervangen',enqueue_replace_next:'Wachtrij vervangen na huidige',error_action:'De actie kon niet worden uitgevoerd.',error_entry_not_found:'Geen Music Assistant-server gevonden voor "{entry}".',error_entry_not_loaded:'Music Assistant-server "{title}" is niet geladen ({state}).',error_fetching:'Er is een fout opgetreden bij het ophalen van de resultaten.',error_no_integration:'De Music Assistant-integratie is niet ingesteld in Home Assistant.',error_playing:'Afspelen kon niet worden gestart.',error_voice:'Spraakinvoer is mislukt.',explicit:'Expliciet',filter_placeholder:'Resultaten filteren…',image_alt:'Afbeelding',in_library:'In je bibliotheek',is_favorite:'Favoriet',library_only_label:'Lokaal',load_more:'Meer laden',loading:'Laden…',logo_alt:'Music Assistant-logo',lossless:'Lossless',media_type:'Soort media',more_actions:'Meer acties',next_track:'Volgende',no_history:'Geen recente zoekopdrachten',no_matches:'Geen resultaten voor dit filter.',no_results:'Geen resultaten gevonden.',notification_title:'Music Assistant zoeken',now_playing:'Speelt nu',play_pause:'Afspelen/Pauzeren',playing_media:'Media afgespeeld:',playlist_label:'Afspeellijst',popup_title:'Zoekresultaten voor:',previous_track:'Vorige',radio_label:'Radio',radio_mode_label:'Radio starten',recent_searches:'Recente zoekopdrachten',refreshing:'Vernieuwen…',results_count:{one:'{count} resultaat',other:'{count} resultaten'},results_label:'Aantal resultaten',retry:'Opnieuw',search_button:'Zoeken',search_placeholder:'Typ hier je zoekterm...',searching:'Zoeken…',section_album:'Albums',section_artist:'Artiesten',section_playlist:'Afspeellijsten',section_radio:'Radiozenders',section_track:'Nummers',seek:'Positie',select_all:'Alles selecteren',select_media_type:'Selecteer media type',server_label:'Music Assistant-server',show_details:'Details tonen',sort_duration:'Duur',sort_label:'Sorteren',sort_name:'Naam',sort_relevance:'Relevantie',sort_year:'Jaar',stale_results:'Music Assistant is niet bereikbaar — resultaten van {time}',state_idle:'Inactief',state_paused:'Gepauzeerd',state_playing:'Speelt af',state_unavailable:'Niet beschikbaar',sync_players:'Synchroon afspelen (spelers groeperen)',title_text:'Zoek in Music Assistant',top_tracks:'Populairste nummers',track_count:{one:'{count} nummer',other:'{count} nummers'},track_label:'Nummer',unknown_artist:'Onbekende artiest',unknown_duration:'Onbekende duur',voice_listening:'Luisteren…',voice_search:'Zoeken met je stem',volume:'Volume'},
+  cs:{album_label:'Album',album_type_album:'Album',album_type_compilation:'Kompilace',album_type_ep:'EP',album_type_single:'Singl',all_label:'Vše',artist_label:'Umělec',artwork_alt:'Obal',back_button:'Zpět',clear_history:'Vymazat historii',close_button:'Zavřít',dismiss:'Zavřít',dropdown_label_media_player:'Vyberte přehrávač médií',editor_cache_size:'Hledání uložená pro offline zobrazení',editor_cache_ttl:'Znovu použít stejná hledání po dobu (sekundy)',editor_config_entry:'Server Music Assistant',editor_default_limit:'Výchozí počet výsledků',editor_default_media_type:'Výchozí typ média',editor_default_player:'Výchozí přehrávač médií',editor_enqueue_mode:'Režim fronty',editor_entities:'Zobrazit jen tyto přehrávače',editor_exclude_entities:'Skrýt tyto přehrávače',editor_fire_event:'Po přehrání vyvolat událost',editor_follow_active:'Sledovat aktivní přehrávač',editor_group_players:'Před přehráním seskupit přehrávače',editor_hide_logo:'Skrýt logo',editor_hide_title:'Skrýt nadpis',editor_history_size:'Počet uložených hledání',editor_language:'Jazyk',editor_layout:'Rozložení',editor_library_only:'Pouze místní knihovna',editor_live_search:'Hledat při psaní',editor_live_search_min_chars:'Minimum znaků pro hledání při psaní',editor_parse_query:'Rozumět frázím jako "přehraj album … od …"',editor_persist_state:'Pamatovat si výběr na tomto zařízení',editor_persistent_notifications:'Hlásit chyby také jako oznámení Home Assistant',editor_player_names:'Zobrazované názvy přehrávačů (entity_id: název)',editor_radio_mode:'Režim rádia',editor_results_view:'Výsledky jako',editor_show_now_playing:'Zobrazit právě hraje',editor_voice_search:'Tlačítko mikrofonu',enqueue_add:'Přidat do fronty',enqueue_next:'Přehrát jako další',enqueue_play:'Přehrát nyní',enqueue_replace:'Nahradit frontu',enqueue_replace_next:'Nahradit frontu po aktuální',error_action:'Akci se nepodařilo dokončit.',error_entry_not_found:'Žádný server Music Assistant neodpovídá "{entry}".',error_entry_not_loaded:'Server Music Assistant "{title}" není načten ({state}).',error_fetching:'Při načítání výsledků došlo k chybě.',error_no_integration:'Integrace Music Assistant není v Home Assistant nastavena.',error_playing:'Přehrávání se nepodařilo spustit.',error_voice:'Hlasový vstup selhal.',explicit:'Explicitní',filter_placeholder:'Filtrovat výsledky…',image_alt:'Obrázek',in_library:'V knihovně',is_favorite:'Oblíbené',library_only_label:'Pouze knihovna',load_more:'Načíst další',loading:'Načítání…',logo_alt:'Logo Music Assistant',lossless:'Bezeztrátový',media_type:'Typ média',more_actions:'Další akce',next_track:'Další',no_history:'Žádná nedávná hledání',no_matches:'Filtru neodpovídají žádné výsledky.',no_results:'Nebyly nalezeny žádné výsledky.',notification_title:'Hledání Music Assistant',now_playing:'Právě hraje',play_pause:'Přehrát/Pozastavit',playing_media:'Přehrané médium:',playlist_label:'Seznam skladeb',popup_title:'Výsledky hledání pro:',previous_track:'Předchozí',radio_label:'Rádio',radio_mode_label:'Spustit rádio',recent_searches:'Nedávná hledání',refreshing:'Obnovování…',results_count:{one:'{count} výsledek',few:'{count} výsledky',many:'{count} výsledku',other:'{count} výsledků'},results_label:'Počet výsledků',retry:'Zkusit znovu',search_button:'Hledat',search_placeholder:'Zadejte hledaný výraz...',searching:'Hledání…',section_album:'Alba',section_artist:'Umělci',section_playlist:'Seznamy skladeb',section_radio:'Rádiové stanice',section_track:'Skladby',seek:'Pozice',select_all:'Vybrat vše',select_media_type:'Vyberte typ média',server_label:'Server Music Assistant',show_details:'Zobrazit podrobnosti',sort_duration:'Délka',sort_label:'Řadit',sort_name:'Název',sort_relevance:'Relevance',sort_year:'Rok',stale_results:'Music Assistant je nedostupný — zobrazeny výsledky z {time}',state_idle:'Nečinný',state_paused:'Pozastaveno',state_playing:'Přehrává',state_unavailable:'Nedostupný',sync_players:'Přehrávat synchronně (seskupit přehrávače)',title_text:'Hledat v Music Assistant',top_tracks:'Nejlepší skladby',track_count:{one:'{count} skladba',few:'{count} skladby',many:'{count} skladby',other:'{count} skladeb'},track_label:'Skladba',unknown_artist:'Neznámý umělec',unknown_duration:'Neznámá délka',voice_listening:'Poslouchám…',voice_search:'Hledat hlasem',volume:'Hlasitost'},
+  en:{album_label:'Album',album_type_album:'Album',album_type_compilation:'Compilation',album_type_ep:'EP',album_type_single:'Single',all_label:'All',artist_label:'Artist',artwork_alt:'Artwork',back_button:'Back',clear_history:'Clear history',close_button:'Close',dismiss:'Dismiss',dropdown_label_media_player:'Select a media player',editor_cache_size:'Searches to keep for offline display',editor_cache_ttl:'Reuse identical searches for (seconds)',editor_config_entry:'Music Assistant server',editor_default_limit:'Default number of results',editor_default_media_type:'Default media type',editor_default_player:'Default media player',editor_enqueue_mode:'Enqueue mode',editor_entities:'Only show these players',editor_exclude_entities:'Hide these players',editor_fire_event:'Fire an event when something is played',editor_follow_active:'Follow the active player',editor_group_players:'Group players before playing',editor_hide_logo:'Hide logo',editor_hide_title:'Hide title',editor_history_size:'Recent searches to keep',editor_language:'Language',editor_layout:'Layout',editor_library_only:'Local library only',editor_live_search:'Search while typing',editor_live_search_min_chars:'Minimum characters for live search',editor_parse_query:'Understand phrases like "play album … by …"',editor_persist_state:'Remember selections on this device',editor_persistent_notifications:'Also report errors as Home Assistant notifications',editor_player_names:'Player display names (entity_id: name)',editor_radio_mode:'Radio mode',editor_results_view:'Results as',editor_show_now_playing:'Show now playing',editor_voice_search:'Microphone button',enqueue_add:'Add to queue',enqueue_next:'Play next',enqueue_play:'Play now',enqueue_replace:'Replace queue',enqueue_replace_next:'Replace queue after current',error_action:'The action could not be completed.',error_entry_not_found:'No Music Assistant server matches "{entry}".',error_entry_not_loaded:'Music Assistant server "{title}" is not loaded ({state}).',error_fetching:'An error occurred while fetching results.',error_no_integration:'The Music Assistant integration is not set up in Home Assistant.',error_playing:'Playback could not be started.',error_voice:'Voice input failed.',explicit:'Explicit',filter_placeholder:'Filter results…',image_alt:'Image',in_library:'In your library',is_favorite:'Favourite',library_only_label:'Local library',load_more:'Load more',loading:'Loading…',logo_alt:'Music Assistant logo',lossless:'Lossless',media_type:'Media type',more_actions:'More actions',next_track:'Next',no_history:'No recent searches',no_matches:'No results match the filter.',no_results:'No results found.',notification_title:'Music Assistant search',now_playing:'Now playing',play_pause:'Play/Pause',playing_media:'Media played:',playlist_label:'Playlist',popup_title:'Search Results for:',previous_track:'Previous',radio_label:'Radio',radio_mode_label:'Start radio',recent_searches:'Recent searches',refreshing:'Refreshing…',results_count:{one:'{count} result',other:'{count} results'},results_label:'Number of results',retry:'Retry',search_button:'Search',search_placeholder:'Type your search term here...',searching:'Searching…',section_album:'Albums',section_artist:'Artists',section_playlist:'Playlists',section_radio:'Radio stations',section_track:'Tracks',seek:'Position',select_all:'Select all',select_media_type:'Select media type',server_label:'Music Assistant server',show_details:'Show details',sort_duration:'Duration',sort_label:'Sort',sort_name:'Name',sort_relevance:'Relevance',sort_year:'Year',stale_results:'Music Assistant is unreachable — showing results from {time}',state_idle:'Idle',state_paused:'Paused',state_playing:'Playing',state_unavailable:'Unavailable',sync_players:'Play in sync (group players)',title_text:'Search in Music Assistant',top_tracks:'Top tracks',track_count:{one:'{count} track',other:'{count} tracks'},track_label:'Track',unknown_artist:'Unknown artist',unknown_duration:'Unknown duration',voice_listening:'Listening…',voice_search:'Search by voice',volume:'Volume'},
+  sv:{album_label:'Album',album_type_album:'Album',album_type_compilation:'Samling',album_type_ep:'EP',album_type_single:'Singel',all_label:'Alla',artist_label:'Artist',artwork_alt:'Omslag',back_button:'Tillbaka',clear_history:'Rensa historik',close_button:'Stäng',dismiss:'Stäng',dropdown_label_media_player:'Välj mediaspelare',editor_cache_size:'Sökningar att spara för offlinevisning',editor_cache_ttl:'Återanvänd identiska sökningar i (sekunder)',editor_config_entry:'Music Assistant-server',editor_default_limit:'Standardantal resultat',editor_default_media_type:'Standardmediatyp',editor_default_player:'Standardmediaspelare',editor_enqueue_mode:'Köläge',editor_entities:'Visa bara dessa spelare',editor_exclude_entities:'Dölj dessa spelare',editor_fire_event:'Skicka en händelse när något spelas',editor_follow_active:'Följ den aktiva spelaren',editor_group_players:'Gruppera spelare före uppspelning',editor_hide_logo:'Dölj logotyp',editor_hide_title:'Dölj titel',editor_history_size:'Antal senaste sökningar att spara',editor_language:'Språk',editor_layout:'Layout',editor_library_only:'Endast lokalt bibliotek',editor_live_search:'Sök medan du skriver',editor_live_search_min_chars:'Minsta antal tecken för direktsökning',editor_parse_query:'Förstå fraser som "spela album … av …"',editor_persist_state:'Kom ihåg val på den här enheten',editor_persistent_notifications:'Rapportera även fel som Home Assistant-aviseringar',editor_player_names:'Visningsnamn för spelare (entity_id: namn)',editor_radio_mode:'Radioläge',editor_results_view:'Resultat som',editor_show_now_playing:'Visa spelas nu',editor_voice_search:'Mikrofonknapp',enqueue_add:'Lägg till i kön',enqueue_next:'Spela härnäst',enqueue_play:'Spela nu',enqueue_replace:'Ersätt kön',enqueue_replace_next:'Ersätt kön efter aktuell',error_action:'Åtgärden kunde inte slutföras.',error_entry_not_found:'Ingen Music Assistant-server matchar "{entry}".',error_entry_not_loaded:'Music Assistant-servern "{title}" är inte laddad ({state}).',error_fetching:'Ett fel uppstod när resultat hämtades.',error_no_integration:'Music Assistant-integrationen är inte konfigurerad i Home Assistant.',error_playing:'Uppspelningen kunde inte startas.',error_voice:'Röstinmatningen misslyckades.',explicit:'Explicit',filter_placeholder:'Filtrera resultat…',image_alt:'Bild',in_library:'I ditt bibliotek',is_favorite:'Favorit',library_only_label:'Endast bibliotek',load_more:'Visa fler',loading:'Laddar…',logo_alt:'Music Assistant-logotyp',lossless:'Förlustfri',media_type:'Mediatyp',more_actions:'Fler åtgärder',next_track:'Nästa',no_history:'Inga senaste sökningar',no_matches:'Inga resultat matchar filtret.',no_results:'Inga resultat funna.',notification_title:'Music Assistant-sökning',now_playing:'Spelas nu',play_pause:'Spela/Pausa',playing_media:'Media spelad:',playlist_label:'Spellista',popup_title:'Sökresultat för:',previous_track:'Föregående',radio_label:'Radio',radio_mode_label:'Starta radio',recent_searches:'Senaste sökningar',refreshing:'Uppdaterar…',results_count:'{count} resultat',results_label:'Antal resultat',retry:'Försök igen',search_button:'Sök',search_placeholder:'Sök här…',searching:'Söker…',section_album:'Album',section_artist:'Artister',section_playlist:'Spellistor',section_radio:'Radiostationer',section_track:'Spår',seek:'Position',select_all:'Välj alla',select_media_type:'Välj mediatyp',server_label:'Music Assistant-server',show_details:'Visa detaljer',sort_duration:'Längd',sort_label:'Sortera',sort_name:'Namn',sort_relevance:'Relevans',sort_year:'År',stale_results:'Music Assistant går inte att nå — visar resultat från {time}',state_idle:'Inaktiv',state_paused:'Pausad',state_playing:'Spelar',state_unavailable:'Otillgänglig',sync_players:'Spela synkroniserat (gruppera spelare)',title_text:'Sök i Music Assistant',top_tracks:'Populära spår',track_count:'{count} spår',track_label:'Spår',unknown_artist:'Okänd artist',unknown_duration:'Okänd varaktighet',voice_listening:'Lyssnar…',voice_search:'Sök med rösten',volume:'Volym'},
+  sk:{album_label:'Album',album_type_album:'Album',album_type_compilation:'Kompilácia',album_type_ep:'EP',album_type_single:'Singel',all_label:'Všetko',artist_label:'Interpret',artwork_alt:'Obal',back_button:'Späť',clear_history:'Vymazať históriu',close_button:'Zavrieť',dismiss:'Zavrieť',dropdown_label_media_player:'Vyberte prehrávač médií',editor_cache_size:'Hľadania uložené na offline zobrazenie',editor_cache_ttl:'Znovu použiť rovnaké hľadania počas (sekundy)',editor_config_entry:'Server Music Assistant',editor_default_limit:'Predvolený počet výsledkov',editor_default_media_type:'Predvolený typ média',editor_default_player:'Predvolený prehrávač médií',editor_enqueue_mode:'Režim fronty',editor_entities:'Zobraziť iba tieto prehrávače',editor_exclude_entities:'Skryť tieto prehrávače',editor_fire_event:'Po prehratí vyvolať udalosť',editor_follow_active:'Sledovať aktívny prehrávač',editor_group_players:'Pred prehrávaním zoskupiť prehrávače',editor_hide_logo:'Skryť logo',editor_hide_title:'Skryť nadpis',editor_history_size:'Počet uložených hľadaní',editor_language:'Jazyk',editor_layout:'Rozloženie',editor_library_only:'Iba miestna knižnica',editor_live_search:'Hľadať počas písania',editor_live_search_min_chars:'Minimum znakov pre hľadanie počas písania',editor_parse_query:'Rozumieť frázam ako "prehraj album … od …"',editor_persist_state:'Pamätať si výber na tomto zariadení',editor_persistent_notifications:'Hlásiť chyby aj ako oznámenia Home Assistant',editor_player_names:'Zobrazované názvy prehrávačov (entity_id: názov)',editor_radio_mode:'Režim rádia',editor_results_view:'Výsledky ako',editor_show_now_playing:'Zobraziť práve hrá',editor_voice_search:'Tlačidlo mikrofónu',enqueue_add:'Pridať do fronty',enqueue_next:'Prehrať ako ďalšie',enqueue_play:'Prehrať teraz',enqueue_replace:'Nahradiť frontu',enqueue_replace_next:'Nahradiť frontu po aktuálnej',error_action:'Akciu sa nepodarilo dokončiť.',error_entry_not_found:'Žiadny server Music Assistant nezodpovedá "{entry}".',error_entry_not_loaded:'Server Music Assistant "{title}" nie je načítaný ({state}).',error_fetching:'Pri načítaní výsledkov nastala chyba.',error_no_integration:'Integrácia Music Assistant nie je v Home Assistant nastavená.',error_playing:'Prehrávanie sa nepodarilo spustiť.',error_voice:'Hlasový vstup zlyhal.',explicit:'Explicitné',filter_placeholder:'Filtrovať výsledky…',image_alt:'Obrázok',in_library:'V knižnici',is_favorite:'Obľúbené',library_only_label:'Iba knižnica',load_more:'Načítať ďalšie',loading:'Načítava sa…',logo_alt:'Logo Music Assistant',lossless:'Bezstratový',media_type:'Typ média',more_actions:'Ďalšie akcie',next_track:'Ďalšia',no_history:'Žiadne nedávne hľadania',no_matches:'Filtru nezodpovedajú žiadne výsledky.',no_results:'Nenašli sa žiadne výsledky.',notification_title:'Vyhľadávanie Music Assistant',now_playing:'Práve hrá',play_pause:'Prehrať/Pozastaviť',playing_media:'Prehrávané médium:',playlist_label:'Playlist',popup_title:'Výsledky hľadania pre:',previous_track:'Predchádzajúca',radio_label:'Rádio',radio_mode_label:'Spustiť rádio',recent_searches:'Nedávne hľadania',refreshing:'Obnovuje sa…',results_count:{one:'{count} výsledok',few:'{count} výsledky',many:'{count} výsledku',other:'{count} výsledkov'},results_label:'Počet výsledkov',retry:'Skúsiť znova',search_button:'Hľadať',search_placeholder:'Zadajte hľadaný výraz...',searching:'Hľadá sa…',section_album:'Albumy',section_artist:'Interpreti',section_playlist:'Playlisty',section_radio:'Rádiové stanice',section_track:'Skladby',seek:'Pozícia',select_all:'Vybrať všetko',select_media_type:'Vyberte typ média',server_label:'Server Music Assistant',show_details:'Zobraziť podrobnosti',sort_duration:'Dĺžka',sort_label:'Zoradiť',sort_name:'Názov',sort_relevance:'Relevancia',sort_year:'Rok',stale_results:'Music Assistant je nedostupný — zobrazujú sa výsledky z {time}',state_idle:'Nečinný',state_paused:'Pozastavené',state_playing:'Prehráva',state_unavailable:'Nedostupný',sync_players:'Prehrávať synchrónne (zoskupiť prehrávače)',title_text:'Hľadať v Music Assistant',top_tracks:'Najlepšie skladby',track_count:{one:'{count} skladba',few:'{count} skladby',many:'{count} skladby',other:'{count} skladieb'},track_label:'Skladba',unknown_artist:'Neznámy interpret',unknown_duration:'Neznáma dĺžka',voice_listening:'Počúvam…',voice_search:'Hľadať hlasom',volume:'Hlasitosť'},
+};
+
+// Language codes people use that are not the ISO ones
+const LANGUAGE_ALIASES = { cz: 'cs' };
+
+// The strings for `language` with `overrides` (the `translations:` option) on top, and the
+// locale for Intl; shared by the card and its editor
+function resolveTranslations(language, overrides) {
+  const tag = language.toLowerCase().replace('_', '-');
+  const base = tag.split('-')[0];
+  const codes = [...new Set(['en', LANGUAGE_ALIASES[base] || base, LANGUAGE_ALIASES[tag] || tag])];
+  const find = (registry, code) => Object.entries(registry || {}).find(([k]) => k.toLowerCase().replace('_', '-') === code)?.[1];
+  const t = Object.assign({}, ...codes.flatMap((code) => [find(TRANSLATIONS, code), find(overrides, code)]).filter(Boolean));
+  let locale;
+  try { locale = Intl.getCanonicalLocales(codes[codes.length - 1])[0]; } catch { locale = 'en'; }
+  return { t, locale };
+}
+
+// Keywords `parseQuery` understands, per language (English is always added)
+const QUERY_WORDS = {
+  en: { play: ['play'], by: ['by'], on: ['in', 'on'], artist: ['artist', 'artists'], track: ['track', 'tracks', 'song', 'songs'], album: ['album', 'albums'], playlist: ['playlist', 'playlists'], radio: ['radio', 'station'] },
+  nl: { play: ['speel', 'afspelen'], by: ['van', 'door'], on: ['in', 'op'], artist: ['artiest', 'artiesten'], track: ['nummer', 'nummers', 'liedje'], album: ['album', 'albums'], playlist: ['afspeellijst', 'afspeellijsten'], radio: ['radio', 'zender'] },
+  cs: { play: ['přehraj', 'pusť'], by: ['od'], on: ['v', 've', 'na'], artist: ['umělec', 'umělce', 'interpret'], track: ['skladba', 'skladbu', 'píseň', 'písničku'], album: ['album', 'alba'], playlist: ['playlist', 'seznam'], radio: ['rádio', 'stanice', 'stanici'] },
+  sv: { play: ['spela'], by: ['av'], on: ['i', 'på'], artist: ['artist', 'artister'], track: ['låt', 'låten', 'spår'], album: ['album', 'albumet'], playlist: ['spellista', 'spellistan'], radio: ['radio', 'kanal'] },
+  sk: { play: ['prehraj', 'pusti'], by: ['od'], on: ['v', 'vo', 'na'], artist: ['interpret', 'interpreta', 'umelec'], track: ['skladba', 'skladbu', 'pieseň'], album: ['album', 'albumy'], playlist: ['playlist'], radio: ['rádio', 'stanica', 'stanicu'] },
+};
+
+const foldText = (text) => text.toLocaleLowerCase().normalize('NFD').replace(/\p{M}/gu, '').trim();
+
+// "play album Abbey Road by The Beatles" → { name: 'Abbey Road', mediaType: 'album', artist: 'The Beatles' }.
+// `words`: merged `QUERY_WORDS`; `players`: [{ entity_id, name }] that "in …" / "on …" may name.
+function parseQuery(text, { words, players = [] }) {
+  const is = (token, key) => !token.quoted && words[key].some((w) => foldText(w) === foldText(token.text));
+  const join = (list) => list.map((t) => t.text).join(' ');
+  const tokens = [...text.matchAll(/"([^"]*)"|(\S+)/g)].map((m) => ({ text: m[1] ?? m[2], quoted: m[1] !== undefined }));
+  const result = {};
+
+  // A type prefix ("playlist:chill"), or a play word and then a type word ("play album …");
+  // a bare leading type word is left alone, it starts too many titles ("Radio Ga Ga", "Song 2")
+  let command = false;
+  if (tokens.length > 1 && is(tokens[0], 'play')) { tokens.shift(); command = true; }
+  const prefix = tokens[0] && !tokens[0].quoted && tokens[0].text.match(/^([^:]+):(.*)$/);
+  const typeOf = (token) => RESULT_GROUPS.map((g) => g.type).find((type) => is(token, type));
+  if (prefix && typeOf({ text: prefix[1] })) {
+    result.mediaType = typeOf({ text: prefix[1] });
+    if (prefix[2]) tokens[0] = { text: prefix[2], quoted: false };
+    else tokens.shift();
+    command = true;
+  } else if (command && tokens.length > 1 && typeOf(tokens[0])) {
+    result.mediaType = typeOf(tokens.shift());
+    command = true;
+  }
+
+  // "… in kitchen": only when the rest names a player, so "Love in Vain" stays a title
+  for (let i = tokens.length - 2; i > 0; i--) {
+    if (!is(tokens[i], 'on')) continue;
+    const player = matchPlayer(join(tokens.slice(i + 1)), players);
+    if (player) { result.player = player; tokens.splice(i); break; }
+  }
+
+  // "… by The Beatles": only in a command, so "Stand by Me" stays a title
+  for (let i = tokens.length - 2; command && i >= 0; i--) {
+    if (!is(tokens[i], 'by')) continue;
+    result.artist = join(tokens.slice(i + 1));
+    tokens.splice(i);
+    break;
+  }
+
+  result.name = join(tokens);
+  if (!result.name && result.artist) { result.name = result.artist; delete result.artist; }
+  return result;
+}
+
+// Exact (folded) name or entity id first, then a name that contains the words
+function matchPlayer(text, players) {
+  const wanted = foldText(text);
+  if (!wanted) return null;
+  const names = players.map((p) => [p, foldText(p.name || ''), foldText(p.entity_id.split('.')[1].replace(/_/g, ' '))]);
+  const exact = names.find(([, name, id]) => name === wanted || id === wanted);
+  const partial = names.find(([, name]) => ` ${name} `.includes(` ${wanted} `));
+  return (exact || partial)?.[0].entity_id || null;
+}
+
 class MassSearchCard extends HTMLElement {
   constructor() {
     super();
@@ -113,60 +600,125 @@ class MassSearchCard extends HTMLElement {
     this._hass = null;
     this.mediaPlayerEntities = [];
     this.configEntryId = '';
-    this.selectedMediaPlayer = null;
+    this._massEntries = undefined; // Music Assistant config entries once loaded; null when not allowed to list them
+    this.selectedMediaPlayers = []; // play targets; the first is the primary (now playing, group leader)
+    this._playerPickedByUser = false; // disables `follow_active`
     this.selectedMediaType = '';
     this.selectedLimit = 20; // default results count (0–60)
-    this._inFlightSearch = false;
+    this.libraryOnly = false;
+    this.groupPlayers = false;
+    this.lastQuery = '';
+    this._inFlightSearch = null; // payload key of the search currently running
+    this._searchSeq = 0; // bumped per search; older responses are discarded
+    this._cache = new Map(); // payload key → { data, time }
     this._searchDebounceTimer = null;
 
     // UI refs
     this.refs = {};
+    this._uid = 0; // for aria id references
   }
 
-  async setConfig(config) {
-    this.config = config || {};
-
-    const translations = {
-      nl:{album_label:'Album',artist_label:'Artiest',close_button:'Sluiten',dropdown_label_media_player:'Selecteer een media player',error_fetching:'Er is een fout opgetreden bij het ophalen van de resultaten.',library_only_label:'Lokaal',media_type:'Soort media',no_results:'Geen resultaten gevonden.',playing_media:'Media afgespeeld:',playlist_label:'Afspeellijst',popup_title:'Zoekresultaten voor:',radio_label:'Radio',results_label:'Aantal resultaten',search_button:'Zoeken',search_placeholder:'Typ hier je zoekterm...',select_media_type:'Selecteer media type',title_text:'Zoek in Music Assistant',track_label:'Nummer',unknown_artist:'Onbekende artiest',unknown_duration:'Onbekende duur'},
-      cs:{album_label:'Album',artist_label:'Umělec',close_button:'Zavřít',dropdown_label_media_player:'Vyberte přehrávač médií',error_fetching:'Při načítání výsledků došlo k chybě.',library_only_label:'Pouze knihovna',media_type:'Typ média',no_results:'Nebyly nalezeny žádné výsledky.',playing_media:'Přehrané médium:',playlist_label:'Seznam skladeb',popup_title:'Výsledky hledání pro:',radio_label:'Rádio',results_label:'Počet výsledků',search_button:'Hledat',search_placeholder:'Zadejte hledaný výraz...',select_media_type:'Vyberte typ média',title_text:'Hledat v Music Assistant',track_label:'Skladba',unknown_artist:'Neznámý umělec',unknown_duration:'Neznámá délka'},
-      en:{album_label:'Album',artist_label:'Artist',close_button:'Close',dropdown_label_media_player:'Select a media player',error_fetching:'An error occurred while fetching results.',library_only_label:'Local library',media_type:'Media type',no_results:'No results found.',playing_media:'Media played:',playlist_label:'Playlist',popup_title:'Search Results for:',radio_label:'Radio',results_label:'Number of results',search_button:'Search',search_placeholder:'Type your search term here...',select_media_type:'Select media type',title_text:'Search in Music Assistant',track_label:'Track',unknown_artist:'Unknown artist',unknown_duration:'Unknown duration'},
-      sv:{album_label:'Album',artist_label:'Artist',close_button:'Stäng',dropdown_label_media_player:'Välj mediaspelare',error_fetching:'Ett fel uppstod när resultat hämtades.',library_only_label:'Endast bibliotek',media_type:'Mediatyp',no_results:'Inga resultat funna.',playing_media:'Media spelad:',playlist_label:'Spellista',popup_title:'Sökresultat för:',radio_label:'Radio',results_label:'Antal resultat',search_button:'Sök',search_placeholder:'Sök här…',select_media_type:'Välj mediatyp',title_text:'Sök i Music Assistant',track_label:'Spår',unknown_artist:'Okänd artist',unknown_duration:'Okänd varaktighet'},
-    };
-
-    const language = this.config.language || this.hass?.language || 'en';
-    this.t = translations[language] || translations.en;
+  // Synchronous on purpose: Home Assistant only shows its error card for errors thrown here
+  setConfig(config) {
+    validateConfig(config);
+    const previous = this.config;
+    this.config = config;
+    this._moveState(previous);
+
+    // Defaults for the dropdowns; the user's picks win once they start interacting
+    if (this.config.default_player) this.selectedMediaPlayer = this.config.default_player;
+    if (this.config.default_media_type) this.selectedMediaType = this.config.default_media_type;
+    if (this.config.default_limit !== undefined) this.selectedLimit = this.config.default_limit;
+    this.libraryOnly = !!this.config.library_only;
+    this.groupPlayers = !!this.config.group_players;
+
+    // ...and what this browser remembered for this card wins over the config defaults
+    const saved = this._loadState();
+    const savedPlayers = saved.players || (saved.player ? [saved.player] : null);
+    // With `follow_active` a saved pick is only a starting point: the active player still wins
+    if (savedPlayers?.length) { this.selectedMediaPlayers = savedPlayers; this._playerPickedByUser = !this.config.follow_active; }
+    if (typeof saved.groupPlayers === 'boolean') this.groupPlayers = saved.groupPlayers;
+    if (saved.mediaType) this.selectedMediaType = saved.mediaType;
+    if (Number.isInteger(saved.limit)) this.selectedLimit = saved.limit;
+    if (typeof saved.libraryOnly === 'boolean') this.libraryOnly = saved.libraryOnly;
+    if (typeof saved.query === 'string') this.lastQuery = saved.query;
+    if (this._massEntries) this.configEntryId = this._pickEntry(); // `config_entry` may have changed
+
+    this._setLanguage(true);
 
     this.render();
     this._wireStaticHandlers();
   }
 
+  // ====== Language ======
+  // Other scripts can register a language (or extend one) before cards are created
+  static addTranslations(language, strings) {
+    TRANSLATIONS[language] = { ...TRANSLATIONS[language], ...strings };
+  }
+
+  // Picks `this.t` for the configured language, else Home Assistant's; true when it changed
+  _setLanguage(force = false) {
+    const language = this.config.language || this._hass?.language || 'en';
+    if (!force && language === this._language) return false;
+    this._language = language;
+    ({ t: this.t, locale: this._locale } = resolveTranslations(language, this.config.translations));
+    return true;
+  }
+
+  // A `{count}` string in the right plural form, with the number formatted for the locale
+  _plural(key, count) {
+    const entry = this.t[key];
+    const text = typeof entry === 'object' ? entry[new Intl.PluralRules(this._locale).select(count)] ?? entry.other : entry;
+    return text.replace('{count}', this._formatNumber(count));
+  }
+
+  _formatNumber(n) {
+    return new Intl.NumberFormat(this._locale).format(n);
+  }
+
   // ====== Rendering ======
   render() {
     const style = document.createElement('style');
     style.textContent = `
-      :host { display:block; min-width:0; }
+      :host {
+        display:block; min-width:0;
+        /* Theme hooks: set the --mass-search-* variables in a theme or with card-mod */
+        --_accent: var(--mass-search-accent-color, var(--primary-color));
+        --_bg: var(--mass-search-background, var(--card-background-color));
+        --_text: var(--mass-search-text-color, var(--primary-text-color));
+        --_border: var(--mass-search-border-width, 1px) solid var(--mass-search-border-color, var(--_accent));
+        --_hover: var(--mass-search-hover-color, rgba(255,165,0,.25));
+        --_radius: var(--mass-search-border-radius, 16px);
+        --_pill-radius: var(--mass-search-pill-radius, 24px);
+        --_shadow: var(--mass-search-shadow, 0 4px 6px rgba(0,0,0,.1));
+        --_overlay: var(--mass-search-overlay-color, rgba(0,0,0,.5));
+        --_tile: var(--mass-search-tile-size, 140px);
+        --_results-height: var(--mass-search-results-height, 360px);
+      }
       .wrapper {
         display:flex; flex-direction:column; gap:16px;
-        border:1px solid var(--primary-color); border-radius:16px;
-        background:var(--card-background-color); padding:16px;
-        box-sizing:border-box; width:100%; box-shadow:0 4px 6px rgba(0,0,0,.1); min-width:0;
+        border:var(--_border); border-radius:var(--_radius);
+        background:var(--_bg); padding:16px;
+        box-sizing:border-box; width:100%; box-shadow:var(--_shadow); min-width:0;
       }
       .title-row { display:flex; align-items:center; gap:16px; min-width:0; }
       .title-row img { width:56px; border-radius:8px; flex:0 0 auto; }
-      .title-text { font-size:22px; font-weight:700; color:var(--primary-text-color); min-width:0; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+      .title-text { font-size:22px; font-weight:700; color:var(--_text); min-width:0; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
 
       .row { display:flex; align-items:center; gap:12px; flex-wrap:wrap; min-width:0; }
       .pill {
         display:flex; align-items:center; gap:8px; min-width:0;
-        border:1px solid var(--primary-color); border-radius:24px;
-        padding:8px 12px; height:48px; background:var(--card-background-color);
+        border:var(--_border); border-radius:var(--_pill-radius);
+        padding:8px 12px; height:48px; background:var(--_bg);
       }
-      .input { flex:1 1 160px; min-width:0; border:none; outline:none; background:transparent; color:var(--primary-text-color); font-size:16px; }
+      .input { flex:1 1 160px; min-width:0; border:none; outline:none; background:transparent; color:var(--_text); font-size:16px; }
 
-      .icon-btn { cursor:pointer; border:none; background:transparent; font-size:18px; color:var(--primary-text-color); flex:0 0 auto; }
+      .icon-btn { cursor:pointer; border:none; background:transparent; font-size:18px; color:var(--_text); flex:0 0 auto; }
       .icon-btn[disabled] { opacity:.5; cursor:not-allowed; }
+      .mic-btn.listening { animation:pulse 1s ease-in-out infinite; }
+      @keyframes pulse { 50% { opacity:.35; } }
 
-      .spinner, .spinner-mini { width:18px; height:18px; border:2px solid rgba(255,255,255,.2); border-top-color:var(--primary-color); border-radius:50%; animation:spin .8s linear infinite; }
+      .spinner, .spinner-mini { width:18px; height:18px; border:2px solid rgba(255,255,255,.2); border-top-color:var(--_accent); border-radius:50%; animation:spin .8s linear infinite; }
       .spinner-mini { width:14px; height:14px; border-width:2px; }
       @keyframes spin { to { transform: rotate(360deg); } }
 
@@ -174,26 +726,50 @@ class MassSearchCard extends HTMLElement {
       .dropdown { position:relative; flex:1 1 160px; min-width:0; }
       .dropdown-btn {
         width:100%; min-width:0; display:flex; align-items:center; justify-content:space-between;
-        cursor:pointer; border:1px solid var(--primary-color); border-radius:8px;
-        padding:8px; background:var(--card-background-color); color:var(--primary-text-color);
+        cursor:pointer; border:var(--_border); border-radius:8px;
+        padding:8px; background:var(--_bg); color:var(--_text);
         white-space:nowrap; overflow:hidden; text-overflow:ellipsis;
       }
       .dropdown-list {
         position:absolute; top:calc(100% + 6px); left:0; width:100%; max-height:280px; overflow:auto; display:none; z-index:10;
-        border:1px solid var(--primary-color); border-radius:8px; background:var(--card-background-color); box-shadow:0 4px 6px rgba(0,0,0,.1);
+        border:var(--_border); border-radius:8px; background:var(--_bg); box-shadow:var(--_shadow);
       }
       .dropdown.open .dropdown-list { display:block; }
       .dropdown-item { padding:8px; cursor:pointer; border-bottom:1px solid var(--divider-color); white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
-      .dropdown-item:hover { background:rgba(255,165,0,.25); }
+      .dropdown-item:hover { background:var(--_hover); }
+      .player-item, .check-item { display:flex; align-items:center; flex-wrap:wrap; gap:4px 8px; }
+      .preset-item { font-weight:700; }
+      .sync-item { border-top:1px solid var(--divider-color); font-style:italic; }
+      .player-name { min-width:0; overflow:hidden; text-overflow:ellipsis; }
+      .player-title { flex:1 0 100%; font-size:12px; opacity:.8; overflow:hidden; text-overflow:ellipsis; }
+      .state-badge { margin-left:auto; padding:0 8px; border-radius:10px; font-size:11px; line-height:18px; background:var(--disabled-text-color, #9e9e9e); color:#fff; }
+      .state-badge.state-playing { background:var(--success-color, #4caf50); }
+      .state-badge.state-paused { background:var(--warning-color, #ff9800); }
+      .state-badge.state-unavailable { background:var(--error-color, #db4437); }
+      .entry-error { padding:8px 12px; border-radius:12px; background:rgba(219,68,55,.12); color:var(--error-color, #db4437); font-size:14px; }
+      .error-slot:empty { display:none; }
+      .error-banner { display:flex; align-items:center; gap:8px; margin:4px 0; padding:8px 8px 8px 12px; border-radius:12px; background:rgba(219,68,55,.12); color:var(--error-color, #db4437); font-size:14px; }
+      .error-text { flex:1 1 auto; min-width:0; overflow-wrap:anywhere; }
+      .error-detail { font-size:12px; opacity:.8; }
+      .error-retry { flex:0 0 auto; padding:4px 12px; border:1px solid currentColor; border-radius:16px; background:transparent; color:inherit; cursor:pointer; }
+      .dropdown.invalid .dropdown-btn { border-color:var(--error-color, #db4437); }
+      .field-hint { margin-top:-4px; font-size:12px; color:var(--error-color, #db4437); }
+      .snackbar { position:fixed; left:50%; bottom:24px; transform:translate(-50%, 16px); max-width:min(480px, 92vw); padding:10px 16px; border-radius:8px; background:var(--primary-text-color, #212121); color:var(--card-background-color, #fff); font-size:14px; opacity:0; pointer-events:none; transition:opacity .2s, transform .2s; z-index:10000; }
+      .snackbar.show { opacity:1; transform:translate(-50%, 0); }
 
       .checkbox-pill { flex:1 1 160px; min-width:0; }
-      .checkbox-pill label { font-size:14px; color:var(--primary-text-color); white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
-
-      .overlay { position:fixed; inset:0; display:flex; align-items:center; justify-content:center; background:rgba(0,0,0,.5); z-index:9999; }
-      .popup { background:var(--card-background-color); border-radius:24px; width:min(420px,92vw); max-height:80vh; overflow:auto; padding:16px; box-shadow:0 4px 6px rgba(0,0,0,.1); }
-      .popup h2 { margin:0 0 12px 0; color:var(--primary-text-color); font-size:18px; }
-
-      .result-btn { display:flex; align-items:center; justify-content:space-between; gap:8px; width:100%; padding:8px; margin:8px 0; border:1px solid var(--primary-color); border-radius:24px; background:var(--card-background-color); color:var(--primary-text-color); cursor:pointer; }
+      .checkbox-pill label { font-size:14px; color:var(--_text); white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+
+      .overlay { position:fixed; inset:0; display:flex; align-items:center; justify-content:center; background:var(--_overlay); z-index:9999; }
+      .popup { background:var(--_bg); border-radius:var(--_pill-radius); width:min(420px,92vw); max-height:80vh; overflow:auto; padding:16px; box-shadow:var(--_shadow); }
+      .popup h2 { margin:0 0 12px 0; color:var(--_text); font-size:18px; }
+      .popup-toolbar { display:flex; align-items:center; gap:8px; min-width:0; margin-bottom:4px; }
+      .popup-filter { flex:1 1 auto; min-width:0; padding:8px 12px; border:var(--_border); border-radius:var(--_pill-radius); background:transparent; color:var(--_text); font-size:14px; }
+      .dropdown.sort-menu { flex:0 1 auto; }
+      .sort-menu .dropdown-list { left:auto; right:0; width:max-content; min-width:100%; }
+
+      .result-row { display:flex; align-items:center; gap:6px; margin:8px 0; min-width:0; }
+      .result-btn { display:flex; align-items:center; justify-content:space-between; gap:8px; flex:1 1 auto; min-width:0; padding:8px; border:var(--_border); border-radius:var(--_pill-radius); background:var(--_bg); color:var(--_text); cursor:pointer; -webkit-touch-callout:none; -webkit-user-select:none; user-select:none; }
       .result-btn[disabled] { opacity:.6; cursor:not-allowed; }
       .image-wrap { width:44px; height:44px; border-radius:50%; overflow:hidden; display:flex; align-items:center; justify-content:center; flex:0 0 auto; }
       .image-wrap img { width:44px; height:44px; object-fit:cover; border-radius:50%; }
@@ -202,12 +778,88 @@ class MassSearchCard extends HTMLElement {
       .text-primary, .text-secondary { white-space:nowrap; overflow:hidden; text-overflow:ellipsis; max-width:100%; }
       .text-primary { font-weight:700; }
       .text-secondary { font-size:12px; opacity:.8; }
+      .text-meta { font-size:11px; opacity:.65; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; max-width:100%; }
+      .explicit-badge { display:inline-block; margin-right:4px; padding:0 4px; border-radius:3px; background:var(--secondary-text-color); color:var(--_bg); font-size:10px; line-height:14px; vertical-align:middle; }
 
-      .provider-icons { display:flex; gap:6px; min-width:44px; justify-content:center; }
+      .provider-icons { display:flex; flex-wrap:wrap; gap:6px; min-width:44px; max-width:96px; justify-content:center; }
       .provider-icons img { width:24px; height:24px; }
+      .quality-badge { align-self:center; padding:0 6px; border-radius:8px; border:var(--_border); font-size:10px; line-height:16px; white-space:nowrap; }
       .mini-wrap { min-width:18px; display:flex; align-items:center; justify-content:center; }
 
-      .close-btn { margin-top:12px; padding:8px 16px; border:none; border-radius:24px; background:var(--primary-color); color:var(--card-background-color); cursor:pointer; }
+      /* Per-row action menu (enqueue modes) */
+      .dropdown.row-menu { flex:0 0 auto; }
+      .row-menu .dropdown-btn { width:36px; height:36px; padding:0; justify-content:center; border-radius:50%; }
+      .row-menu .dropdown-list { left:auto; right:0; width:max-content; max-width:240px; }
+
+      /* Recent searches (input pill) */
+      .dropdown.history-menu { flex:0 0 auto; }
+      .history-menu .dropdown-btn { border:none; padding:0 4px; background:transparent; font-size:18px; }
+      .history-menu .dropdown-list { left:auto; right:0; width:max-content; min-width:200px; max-width:320px; }
+      .history-clear { font-style:italic; color:var(--_accent); }
+
+      .popup-nav { display:flex; align-items:center; gap:4px; min-width:0; margin-bottom:8px; }
+      .breadcrumb { display:flex; align-items:center; gap:4px; min-width:0; overflow:hidden; font-size:12px; color:var(--secondary-text-color); }
+      .breadcrumb .crumb { border:none; background:transparent; padding:0; font:inherit; color:inherit; max-width:120px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+      .breadcrumb button.crumb { cursor:pointer; color:var(--_accent); }
+      .browse-btn { font-size:22px; padding:0 4px; }
+      .flag-badge { flex:0 0 auto; width:20px; text-align:center; font-size:14px; color:var(--_accent); }
+
+      .inline-results { max-height:var(--_results-height); overflow:auto; min-width:0; }
+      .cache-status { display:flex; align-items:center; gap:6px; margin:4px 0; font-size:12px; color:var(--secondary-text-color); }
+      .cache-status.stale { color:var(--warning-color, #ff9800); }
+      .virtual-list { position:relative; margin:8px 0; }
+      .virtual-list .result-row { position:absolute; left:0; right:0; height:64px; margin:0; }
+      .virtual-list .result-btn { height:100%; overflow:hidden; }
+      .load-more { display:block; width:100%; margin:8px 0; padding:8px; border:var(--mass-search-border-width, 1px) dashed var(--_accent); border-radius:var(--_pill-radius); background:transparent; color:var(--_accent); cursor:pointer; }
+      .load-more[disabled] { opacity:.6; cursor:progress; }
+
+      .sr-only { position:absolute; width:1px; height:1px; margin:-1px; padding:0; border:0; overflow:hidden; clip:rect(0 0 0 0); white-space:nowrap; }
+      .dropdown-item:focus, .result-btn:focus-visible, .icon-btn:focus-visible, .dropdown-btn:focus-visible { outline:2px solid var(--_accent); outline-offset:-2px; }
+      .popup h2:focus { outline:none; }
+
+      .result-section { margin:8px 0; }
+      .result-section summary { display:flex; align-items:center; gap:8px; cursor:pointer; padding:6px 4px; font-weight:700; color:var(--_text); border-bottom:1px solid var(--divider-color); }
+      .result-section .count { margin-left:auto; min-width:24px; padding:0 8px; border-radius:12px; background:var(--_accent); color:var(--_bg); font-size:12px; text-align:center; }
+
+      .close-btn { margin-top:12px; padding:8px 16px; border:none; border-radius:var(--_pill-radius); background:var(--_accent); color:var(--_bg); cursor:pointer; }
+
+      /* Now playing */
+      .now-playing { display:flex; flex-direction:column; gap:8px; min-width:0; padding:8px 12px; border:var(--_border); border-radius:16px; }
+      .np-main { display:flex; align-items:center; gap:12px; min-width:0; }
+      .np-art { width:48px; height:48px; border-radius:8px; object-fit:cover; flex:0 0 auto; }
+      .np-text { flex:1 1 auto; min-width:0; display:flex; flex-direction:column; }
+      .np-title, .np-artist { white-space:nowrap; overflow:hidden; text-overflow:ellipsis; color:var(--_text); }
+      .np-title { font-weight:700; }
+      .np-artist { font-size:12px; opacity:.8; }
+      .np-controls { display:flex; align-items:center; gap:4px; flex:0 0 auto; }
+      .np-row { display:flex; align-items:center; gap:8px; min-width:0; font-size:12px; color:var(--secondary-text-color); }
+      .np-row input[type=range] { flex:1 1 auto; min-width:0; accent-color:var(--_accent); }
+      .np-row input.np-volume { flex:0 1 120px; }
+
+      /* Embedded results (inline / panel layouts) */
+      .results-host:empty { display:none; }
+      .popup.embedded { width:auto; max-height:var(--_results-height); padding:0; border-radius:0; background:transparent; box-shadow:none; }
+
+      /* Artwork grid (results_view: grid) */
+      .result-grid { display:grid; grid-template-columns:repeat(auto-fill, minmax(var(--_tile), 1fr)); gap:8px; margin:8px 0; }
+      .result-grid .result-row { flex-wrap:wrap; justify-content:center; gap:2px; margin:0; }
+      .result-grid .result-btn { flex:1 1 100%; flex-direction:column; justify-content:flex-start; gap:4px; border-radius:12px; }
+      .result-grid .image-wrap, .result-grid .image-wrap img { width:100%; height:auto; aspect-ratio:1; border-radius:8px; }
+      .result-grid .text-wrap { width:100%; }
+      .result-grid .provider-icons { max-width:none; }
+      .result-grid .provider-icons img { width:18px; height:18px; }
+
+      /* layout: compact — one search bar, results in the popup */
+      .layout-compact { flex-direction:row; flex-wrap:wrap; gap:8px; padding:8px; }
+      .layout-compact > * { flex:1 1 100%; }
+      .layout-compact > .input-row { flex:2 1 240px; }
+      .layout-compact > .control-row { flex:1 1 240px; flex-wrap:nowrap; gap:8px; }
+      .layout-compact .title-row, .layout-compact .settings-row, .layout-compact .tool-pill { display:none; }
+
+      /* layout: panel — fills a panel view; the results take the remaining height */
+      .layout-panel { height:calc(100vh - var(--header-height, 56px) - 16px); }
+      .layout-panel > .results-host { flex:1 1 auto; min-height:0; display:flex; flex-direction:column; }
+      .layout-panel .popup.embedded { flex:1 1 auto; max-height:none; }
 
       @media (max-width:600px){
         .pill, .dropdown, .dropdown-btn, .row { width:100%; }
@@ -216,52 +868,82 @@ class MassSearchCard extends HTMLElement {
     `;
 
     const wrapper = document.createElement('div');
-    wrapper.className = 'wrapper';
+    wrapper.className = `wrapper layout-${this._layout()}`;
 
     // Title
     const titleRow = document.createElement('div');
     titleRow.className = 'title-row';
     const logo = document.createElement('img');
-    logo.alt = 'Music Assistant';
+    logo.alt = this.t.logo_alt;
     logo.src = this._logoDataURI();
     const titleText = document.createElement('span');
     titleText.className = 'title-text';
     titleText.textContent = this.t.title_text;
     titleRow.appendChild(logo);
     titleRow.appendChild(titleText);
+    if (this.config.hide_title) titleRow.style.display = 'none';
+    if (this.config.hide_logo) logo.style.display = 'none';
 
     // Search
     const inputRow = document.createElement('div');
-    inputRow.className = 'row';
+    inputRow.className = 'row input-row';
     const inputPill = document.createElement('div');
     inputPill.className = 'pill';
     const input = document.createElement('input');
     input.className = 'input';
     input.type = 'text';
     input.placeholder = this.t.search_placeholder;
+    input.value = this.lastQuery;
+    input.setAttribute('aria-label', this.t.search_placeholder);
     const searchSpinner = document.createElement('div');
     searchSpinner.className = 'spinner';
     searchSpinner.style.display = 'none';
     const searchBtn = document.createElement('button');
     searchBtn.className = 'icon-btn';
     searchBtn.title = this.t.search_button;
+    searchBtn.setAttribute('aria-label', this.t.search_button);
     searchBtn.textContent = '🔍';
+    const historyDrop = this._createDropdown('');
+    historyDrop.root.classList.add('history-menu');
+    historyDrop.btn.textContent = '🕘';
+    historyDrop.btn.title = this.t.recent_searches;
+    historyDrop.btn.setAttribute('aria-label', this.t.recent_searches);
+    historyDrop.btn.addEventListener('click', () => this._renderHistory());
+    if (this._historySize() === 0) historyDrop.root.style.display = 'none';
+    const micBtn = document.createElement('button');
+    micBtn.className = 'icon-btn mic-btn';
+    micBtn.title = this.t.voice_search;
+    micBtn.setAttribute('aria-label', this.t.voice_search);
+    micBtn.setAttribute('aria-pressed', 'false');
+    micBtn.textContent = '🎤';
+    if (!this.config.voice_search || !this._speechRecognition()) micBtn.style.display = 'none';
     inputPill.appendChild(input);
+    inputPill.appendChild(micBtn);
+    inputPill.appendChild(historyDrop.root);
     inputPill.appendChild(searchSpinner);
     inputPill.appendChild(searchBtn);
     inputRow.appendChild(inputPill);
 
+    // Live search results (config `live_search`)
+    const inlineResults = document.createElement('div');
+    inlineResults.className = 'inline-results';
+    inlineResults.style.display = 'none';
+    inlineResults.addEventListener('keydown', (e) => this._resultsKeydown(e, inlineResults));
+
     // Settings row: results dropdown + local library
     const settingsRow = document.createElement('div');
-    settingsRow.className = 'row';
+    settingsRow.className = 'row settings-row';
 
     const resultsDrop = this._createDropdown(this.t.results_label);
     for (let n = 0; n <= 60; n++) {
       const item = this._createDropdownItem(String(n), () => {
         this.selectedLimit = n;
+        this._saveState({ limit: n });
         resultsDrop.btn.textContent = `${this.t.results_label}: ${n} ▼`;
-        resultsDrop.root.classList.remove('open');
+        this._markSelected(resultsDrop.list, item);
+        this._closeDropdown(resultsDrop.root);
       });
+      if (n === this.selectedLimit) item.setAttribute('aria-selected', 'true');
       resultsDrop.list.appendChild(item);
     }
     resultsDrop.btn.textContent = `${this.t.results_label}: ${this.selectedLimit} ▼`;
@@ -270,51 +952,99 @@ class MassSearchCard extends HTMLElement {
     libraryPill.className = 'pill checkbox-pill';
     const libraryCheckbox = document.createElement('input');
     libraryCheckbox.type = 'checkbox';
+    libraryCheckbox.id = 'library-only';
+    libraryCheckbox.checked = this.libraryOnly;
+    libraryCheckbox.addEventListener('change', () => {
+      this.libraryOnly = libraryCheckbox.checked;
+      this._saveState({ libraryOnly: this.libraryOnly });
+    });
     const libraryLabel = document.createElement('label');
     libraryLabel.textContent = this.t.library_only_label;
+    libraryLabel.htmlFor = 'library-only';
     libraryPill.appendChild(libraryCheckbox);
     libraryPill.appendChild(libraryLabel);
 
+    // Only shown with several Music Assistant servers
+    const entryDrop = this._createDropdown(this.t.server_label);
+    entryDrop.root.style.display = 'none';
+
     settingsRow.appendChild(resultsDrop.root);
     settingsRow.appendChild(libraryPill);
+    settingsRow.appendChild(entryDrop.root);
+
+    const errorSlot = document.createElement('div');
+    errorSlot.className = 'error-slot';
+
+    const entryError = document.createElement('div');
+    entryError.className = 'entry-error';
+    entryError.setAttribute('role', 'alert');
+    entryError.style.display = 'none';
 
     // Control row: player dropdown + media type dropdown
     const controlRow = document.createElement('div');
-    controlRow.className = 'row';
+    controlRow.className = 'row control-row';
     const toolPill = document.createElement('div');
-    toolPill.className = 'pill';
+    toolPill.className = 'pill tool-pill';
     const toolIcon = document.createElement('ha-icon');
     toolIcon.setAttribute('icon', 'mdi:hammer-wrench');
-    toolIcon.style.color = 'var(--primary-color)';
+    toolIcon.style.color = 'var(--_accent)';
     toolPill.appendChild(toolIcon);
 
     const playerDrop = this._createDropdown(this.t.dropdown_label_media_player);
     const mediaTypeDrop = this._createDropdown(this.t.media_type);
+    playerDrop.list.setAttribute('aria-multiselectable', 'true');
 
     [
+      { value: 'all', label: this.t.all_label },
       { value: 'artist', label: this.t.artist_label },
       { value: 'track', label: this.t.track_label },
-      { value: 'album', label: this.t.album_label || 'Album' },
+      { value: 'album', label: this.t.album_label },
       { value: 'playlist', label: this.t.playlist_label },
-      { value: 'radio', label: this.t.radio_label || 'Radio' },
+      { value: 'radio', label: this.t.radio_label },
     ].forEach((opt) => {
       const item = this._createDropdownItem(opt.label, () => {
-        this.selectedMediaType = opt.value;
-        mediaTypeDrop.btn.textContent = opt.label + ' ▼';
-        mediaTypeDrop.root.classList.remove('open');
+        this._setMediaType(opt.value);
+        this._closeDropdown(mediaTypeDrop.root);
       });
+      item.dataset.value = opt.value;
       mediaTypeDrop.list.appendChild(item);
+      if (opt.value === this.selectedMediaType) {
+        mediaTypeDrop.btn.textContent = opt.label + ' ▼';
+        item.setAttribute('aria-selected', 'true');
+      }
     });
 
     controlRow.appendChild(toolPill);
     controlRow.appendChild(playerDrop.root);
     controlRow.appendChild(mediaTypeDrop.root);
 
+    const fieldHint = document.createElement('div');
+    fieldHint.className = 'field-hint';
+    fieldHint.id = 'field-hint';
+    fieldHint.style.display = 'none';
+
     // Assemble
     wrapper.appendChild(titleRow);
+    wrapper.appendChild(entryError);
+    wrapper.appendChild(errorSlot);
     wrapper.appendChild(inputRow);
+    wrapper.appendChild(inlineResults);
     wrapper.appendChild(settingsRow);
     wrapper.appendChild(controlRow);
+    wrapper.appendChild(fieldHint);
+
+    // inline / panel layouts: the results view lives here instead of in a dialog
+    const resultsHost = document.createElement('div');
+    resultsHost.className = 'results-host';
+    wrapper.appendChild(resultsHost);
+    const nowPlaying = this._createNowPlaying();
+    wrapper.appendChild(nowPlaying.root);
+
+    const liveRegion = document.createElement('div');
+    liveRegion.className = 'sr-only';
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+    wrapper.appendChild(liveRegion);
 
     // Mount
     this.shadowRoot.innerHTML = '';
@@ -325,124 +1055,739 @@ class MassSearchCard extends HTMLElement {
     this.refs = {
       input,
       searchBtn,
+      micBtn,
       searchSpinner,
+      historyDrop,
+      inlineResults,
       resultsDrop,
       libraryCheckbox,
+      entryDrop,
+      entryError,
+      errorSlot,
+      fieldHint,
+      resultsHost,
       playerDrop,
       mediaTypeDrop,
+      nowPlaying,
+      liveRegion,
       wrapper,
     };
+
+    if (this._hass) { this._renderEntries(); this._renderPlayerList(); this._updateNowPlaying(); }
+  }
+
+  // Rebuilds the card (language change), keeping what was typed
+  _rerender() {
+    this.lastQuery = this.refs.input.value;
+    this._closePopup(false);
+    this.render();
+    this._wireStaticHandlers();
   }
 
   // ====== Events ======
   _wireStaticHandlers() {
-    const { input, searchBtn } = this.refs;
+    const { input, searchBtn, micBtn } = this.refs;
     const triggerSearch = () => this._debounce(() => this._runSearch(), 500);
     searchBtn.addEventListener('click', () => triggerSearch());
+    micBtn.addEventListener('click', () => this._toggleVoice());
     input.addEventListener('keydown', (e) => { if (e.key === 'Enter') triggerSearch(); });
+    input.addEventListener('change', () => { this.lastQuery = input.value; this._saveState({ query: input.value }); });
+    input.addEventListener('input', () => {
+      if (!this.config.live_search) return;
+      const minChars = Number.isInteger(this.config.live_search_min_chars) ? this.config.live_search_min_chars : 3;
+      if (input.value.trim().length < minChars) {
+        clearTimeout(this._searchDebounceTimer);
+        this._cancelSearch();
+        this._clearInline();
+        return;
+      }
+      this._debounce(() => this._runSearch({ submitted: false }), 300);
+    });
+  }
 
+  // Page-level listeners live while the card is on the page; Lovelace removes and re-adds
+  // cards (masonry re-layout, view switches) without calling setConfig again
+  connectedCallback() {
     document.addEventListener('click', this._outsideCloseHandler);
     document.addEventListener('keydown', this._escCloseHandler);
+    window.addEventListener('location-changed', this._urlQueryHandler);
+    window.addEventListener('hashchange', this._urlQueryHandler);
+    // A link followed while the card was off the page (another view) is picked up on return;
+    // before the entries are loaded `set hass` does this once they are
+    if (this._massEntries !== undefined) this._applyUrlQuery();
   }
 
   disconnectedCallback() {
     document.removeEventListener('click', this._outsideCloseHandler);
     document.removeEventListener('keydown', this._escCloseHandler);
+    window.removeEventListener('location-changed', this._urlQueryHandler);
+    window.removeEventListener('hashchange', this._urlQueryHandler);
+    clearInterval(this._nowPlayingTimer);
+    this._nowPlayingTimer = null;
+    this._recognition?.abort();
   }
+  _urlQueryHandler = () => this._applyUrlQuery();
   _outsideCloseHandler = (e) => {
     const drops = this.shadowRoot.querySelectorAll('.dropdown.open');
-    drops.forEach((d) => { if (!d.contains(e.target)) d.classList.remove('open'); });
+    drops.forEach((d) => { if (!d.contains(e.target)) this._closeDropdown(d); });
   };
   _escCloseHandler = (e) => {
-    if (e.key === 'Escape') this.shadowRoot.querySelectorAll('.dropdown.open').forEach((d) => d.classList.remove('open'));
+    if (e.key !== 'Escape') return;
+    const drops = this.shadowRoot.querySelectorAll('.dropdown.open');
+    if (drops.length) drops.forEach((d) => this._closeDropdown(d));
+    else if (this._popup && !this._popup.embedded) this._closePopup();
   };
 
   // ====== Logic ======
-  async _runSearch() {
+  // `submitted`: Enter, 🔍, voice, a link or a retry; only those go into the recent searches
+  async _runSearch({ submitted = true } = {}) {
     if (!this._hass) return;
-    if (this._inFlightSearch) return;
 
-    const { input, searchBtn, searchSpinner, libraryCheckbox } = this.refs;
+    const { input, libraryCheckbox } = this.refs;
+    const live = !!this.config.live_search;
     const query = (input.value || '').trim();
+    const { name, artist, mediaType: parsedType } = this._applyQuery(query);
+    const type = parsedType || this.selectedMediaType;
     const limit = Math.max(0, Math.min(parseInt(this.selectedLimit ?? 20, 10), 60));
     const libraryOnly = !!libraryCheckbox.checked;
 
-    if (!this.selectedMediaPlayer) { this._toast(this.t.dropdown_label_media_player); return; }
-    if (!this.selectedMediaType) { this._toast(this.t.select_media_type); return; }
-    if (!query) return;
-
-    const title = `${this.t.popup_title} "${query}" (${this.selectedMediaType})`;
-    const payload = { name: query, media_type: this.selectedMediaType, config_entry_id: this.configEntryId, limit, library_only: libraryOnly };
+    const { playerDrop, mediaTypeDrop } = this.refs;
+    if (!this.selectedMediaPlayer) { this._setInvalid(playerDrop, this.t.dropdown_label_media_player); return; }
+    if (!type) { this._setInvalid(mediaTypeDrop, this.t.select_media_type); return; }
+    if (!name) return;
+    if (this._entryProblem()) await this._loadEntries(); // it may have been set up or loaded since
+    if (this._entryProblem()) return; // shown on the card by `_renderEntries`
+
+    const title = `${this.t.popup_title} "${name}"${artist ? ` – ${artist}` : ''} (${this.t[`${type}_label`] || type})`;
+    const mediaType = type === 'all' ? RESULT_GROUPS.map((g) => g.type) : type;
+    const payload = { name, media_type: mediaType, config_entry_id: this.configEntryId, limit, library_only: libraryOnly };
+    if (artist) payload.artist = artist;
+
+    // The same search is already running; a different one supersedes it
+    const key = JSON.stringify(payload);
+    if (submitted) this._rememberSearch(query);
+    if (this._inFlightSearch === key) return;
+    const seq = ++this._searchSeq;
+    const show = (data, cache, refresh) => this._showSearchResults(data, { key, live, title, query: name, payload, cache }, refresh);
+    const report = (data) => {
+      this._clearError();
+      const count = this._groupsFromResponse(data?.response).reduce((n, g) => n + g.items.length, 0);
+      this._announce(count ? this._plural('results_count', count) : this.t.no_results);
+      this._emit('search', { query, name, artist, media_type: type, library_only: libraryOnly, limit, results: count, live });
+    };
 
-    // Lock + spinner
-    this._inFlightSearch = true;
-    const oldBtnText = searchBtn.textContent;
-    searchBtn.setAttribute('disabled', 'true');
-    searchBtn.textContent = '';
-    searchSpinner.style.display = 'inline-block';
+    const cached = this._cacheGet(key);
+    if (cached?.fresh) {
+      this._inFlightSearch = null;
+      this._setSearching(false);
+      show(cached.data, null, false);
+      report(cached.data);
+      return;
+    }
+    if (cached) show(cached.data, { state: 'refreshing', time: cached.time }, false);
+    this._inFlightSearch = key;
+    this._setSearching(true);
+    if (!cached) this._announce(this.t.searching);
 
     try {
-      const response = await this._hass.callService('music_assistant', 'search', payload, { return_response: true });
-      const data = response || await this._hass.connection.sendMessagePromise({
-        type: 'call_service', domain: 'music_assistant', service: 'search', service_data: payload, return_response: true,
-      });
-      this._showPopup(data, title);
+      const data = await this._callMass('search', payload);
+      if (seq !== this._searchSeq) return;
+      this._cachePut(key, data);
+      show(data, null, !!cached);
+      report(data);
     } catch (err) {
-      this._toast(this.t.error_fetching);
+      if (seq !== this._searchSeq) return;
       console.error('Music Assistant search error:', err);
+      if (cached) {
+        show(cached.data, { state: 'stale', time: cached.time }, true);
+        this._announce(this._cacheStatusText({ state: 'stale', time: cached.time }));
+      } else {
+        this._announce(this.t.error_fetching);
+        this._showError(this.t.error_fetching, err, () => this._runSearch({ submitted }));
+      }
     } finally {
-      this._inFlightSearch = false;
-      searchSpinner.style.display = 'none';
-      searchBtn.textContent = oldBtnText || '🔍';
-      searchBtn.removeAttribute('disabled');
+      if (seq === this._searchSeq) {
+        this._inFlightSearch = null;
+        this._setSearching(false);
+      }
+    }
+  }
+
+  // `refresh`: these replace results already shown for the same search (cached → fresh or
+  // stale); they update the open popup in place and never reopen a closed one.
+  _showSearchResults(data, { key, live, title, query, payload, cache }, refresh) {
+    if (live) {
+      this._showInline(data, cache);
+      return;
+    }
+    const root = this._popup?.stack[0];
+    if (!refresh) {
+      this._showPopup(data, title, query, { key, cache, ...this._searchPager(payload) });
+    } else if (root?.key === key) {
+      this._resultsView(data, Object.assign(root, { cache }));
+      if (this._currentView() === root) this._renderViewBody();
     }
   }
 
-  _showPopup(response, title) {
-    const overlay = document.createElement('div');
-    overlay.className = 'overlay';
+  // Parses the input (`parseQuery`) and points the player dropdown at its player; a parsed
+  // type is for this search only and leaves the media type dropdown (and what is saved) as is
+  _applyQuery(text) {
+    if (this.config.parse_query === false) return { name: text };
+    const parsed = parseQuery(text, { words: this._queryWords(), players: this.mediaPlayerEntities || [] });
+    const players = this.selectedMediaPlayers;
+    if (parsed.player && !(players.length === 1 && players[0] === parsed.player)) this._selectPlayers([parsed.player]);
+    return parsed;
+  }
 
-    const popup = document.createElement('div');
-    popup.className = 'popup';
+  _queryWords() {
+    const own = QUERY_WORDS[this._locale.split('-')[0]] || {};
+    return Object.fromEntries(Object.entries(QUERY_WORDS.en).map(([key, list]) => [key, [...list, ...(own[key] || [])]]));
+  }
 
-    const h2 = document.createElement('h2');
-    h2.textContent = title;
-    popup.appendChild(h2);
+  _setMediaType(type) {
+    const { mediaTypeDrop } = this.refs;
+    this.selectedMediaType = type;
+    this._saveState({ mediaType: type });
+    this._clearInvalid(mediaTypeDrop);
+    mediaTypeDrop.btn.textContent = `${this.t[`${type}_label`] || type} ▼`;
+    this._markSelected(mediaTypeDrop.list, mediaTypeDrop.list.querySelector(`[data-value="${type}"]`));
+  }
 
-    const results = (response?.response?.artists || [])
-      .concat(response?.response?.tracks || [])
-      .concat(response?.response?.albums || [])
-      .concat(response?.response?.radio || [])
-      .concat(response?.response?.playlists || []);
-
-    if (!results || results.length === 0) {
-      const p = document.createElement('p');
-      p.textContent = this.t.no_results;
-      p.style.color = 'var(--primary-text-color)';
-      popup.appendChild(p);
-    } else {
-      results.forEach((item) => popup.appendChild(this._resultButton(item)));
+  // ====== Voice ======
+  _speechRecognition() {
+    return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+  }
+
+  // Starts listening, or stops when already listening; the final phrase runs a search
+  _toggleVoice() {
+    if (this._recognition) { this._recognition.stop(); return; }
+    const Recognition = this._speechRecognition();
+    if (!Recognition) return;
+    const recognition = new Recognition();
+    recognition.lang = this._locale;
+    recognition.interimResults = true;
+    recognition.maxAlternatives = 1;
+    recognition.onresult = (e) => {
+      const result = e.results[e.results.length - 1];
+      const { input } = this.refs;
+      input.value = result[0].transcript;
+      if (!result.isFinal) return;
+      this.lastQuery = input.value;
+      this._saveState({ query: input.value });
+      this._runSearch();
+    };
+    recognition.onerror = (e) => {
+      if (e.error === 'no-speech' || e.error === 'aborted') return;
+      this._showError(this.t.error_voice, e.error);
+    };
+    recognition.onend = () => {
+      if (this._recognition !== recognition) return;
+      this._recognition = null;
+      this._paintVoice(false);
+    };
+    this._recognition = recognition;
+    this._paintVoice(true);
+    this._announce(this.t.voice_listening);
+    try {
+      recognition.start();
+    } catch (err) {
+      recognition.onend();
+      this._showError(this.t.error_voice, err);
+    }
+  }
+
+  _paintVoice(listening) {
+    const { micBtn } = this.refs;
+    micBtn.classList.toggle('listening', listening);
+    micBtn.setAttribute('aria-pressed', String(listening));
+    micBtn.title = listening ? this.t.voice_listening : this.t.voice_search;
+  }
+
+  // Drops whatever search is in flight; its response will be ignored
+  _cancelSearch() {
+    this._searchSeq++;
+    this._inFlightSearch = null;
+    this._setSearching(false);
+  }
+
+  _setSearching(on) {
+    const { searchBtn, searchSpinner } = this.refs;
+    if (on) searchBtn.setAttribute('disabled', 'true');
+    else searchBtn.removeAttribute('disabled');
+    searchBtn.textContent = on ? '' : '🔍';
+    searchSpinner.style.display = on ? 'inline-block' : 'none';
+  }
+
+  // ====== Inline (live) results ======
+  _showInline(response, cache = null) {
+    const { inlineResults } = this.refs;
+    inlineResults.innerHTML = '';
+    inlineResults.style.display = '';
+    if (cache) inlineResults.appendChild(this._cacheStatus(cache));
+    this._renderGroups(inlineResults, this._groupsFromResponse(response?.response));
+  }
+
+  _clearInline() {
+    const { inlineResults } = this.refs;
+    inlineResults.innerHTML = '';
+    inlineResults.style.display = 'none';
+  }
+
+  // Calls a Music Assistant service that returns data, with the websocket fallback.
+  async _callMass(service, data) {
+    const payload = { config_entry_id: this.configEntryId, ...data };
+    const response = await this._hass.callService('music_assistant', service, payload, { return_response: true });
+    return response || await this._hass.connection.sendMessagePromise({
+      type: 'call_service', domain: 'music_assistant', service, service_data: payload, return_response: true,
+    });
+  }
+
+  // ====== Popup & drill-down views ======
+  // `extra` is merged into the view: cache state, search key and the pager
+  _showPopup(response, title, crumb = title, extra = {}) {
+    this._openOverlay();
+    this._pushView(this._resultsView(response, { title, crumb, ...extra }));
+  }
+
+  // (Re)fills a view with the first page of a response
+  _resultsView(response, view) {
+    const groups = this._groupsFromResponse(response?.response);
+    view.groups = groups;
+    if (view.pageSize) Object.assign(view, { offset: view.pageSize, exhausted: groups.every((g) => g.items.length < view.pageSize) });
+    return view;
+  }
+
+  // The search has no offset: page n is the same search with limit n * size, minus the start.
+  // A limit of 0 leaves Music Assistant's own default in charge, with nothing to page by
+  _searchPager(payload) {
+    if (!payload.limit) return {};
+    return {
+      pageSize: payload.limit,
+      fetchPage: async (offset, size) => {
+        const data = await this._callMass('search', { ...payload, limit: offset + size });
+        const groups = this._groupsFromResponse(data?.response);
+        return {
+          groups: groups.map((g) => ({ ...g, items: g.items.slice(offset) })),
+          done: groups.every((g) => g.items.length < offset + size),
+        };
+      },
+    };
+  }
+
+  // `auto`: the scroll observer; after a failed page only a click (or Retry) tries again,
+  // otherwise the new button is seen at once and the failing request repeats without end
+  async _loadMore(view, button, { auto = false } = {}) {
+    if (view.loadingMore || view.exhausted || (auto && view.pageFailed)) return;
+    view.loadingMore = true;
+    button.setAttribute('disabled', 'true');
+    button.textContent = this.t.loading;
+    try {
+      const { groups, done } = await view.fetchPage(view.offset, view.pageSize);
+      groups.forEach((page) => {
+        const group = view.groups.find((g) => g.type === page.type);
+        if (!group) { view.groups.push(page); return; }
+        const seen = new Set(group.items.map((i) => i.uri));
+        group.items.push(...page.items.filter((i) => !seen.has(i.uri)));
+      });
+      view.offset += view.pageSize;
+      view.exhausted = done || !groups.some((g) => g.items.length);
+      view.pageFailed = false;
+    } catch (e) {
+      view.pageFailed = true;
+      this._showError(this.t.error_fetching, e, () => this._loadMore(view, button));
+      console.error('Music Assistant search error:', e);
+    }
+    view.loadingMore = false;
+    if (this._popup && this._currentView() === view) {
+      this._renderViewBody();
+      const count = view.groups.reduce((n, g) => n + g.items.length, 0);
+      this._announce(this._plural('results_count', count));
     }
+  }
+
+  // "Load more" at the end of a paged view; it clicks itself when scrolled into view
+  _appendLoadMore(body, view) {
+    const button = document.createElement('button');
+    button.className = 'load-more';
+    button.textContent = this.t.load_more;
+    button.addEventListener('click', () => this._loadMore(view, button));
+    body.appendChild(button);
+    if (typeof IntersectionObserver !== 'function') return;
+    this._popup.moreObserver = new IntersectionObserver((entries) => {
+      if (entries.some((e) => e.isIntersecting)) this._loadMore(view, button, { auto: true });
+    }, { root: this._popup.popup });
+    this._popup.moreObserver.observe(button);
+  }
+
+  // A dialog over the page, or (inline / panel layouts) a region inside the card
+  _openOverlay() {
+    // Focus goes back to whatever opened the first popup once the dialog closes
+    const returnFocus = this._popup ? this._popup.returnFocus : this.shadowRoot.activeElement;
+    this._closePopup(false);
+    const embedded = this._embeddedResults();
+
+    const overlay = embedded ? null : document.createElement('div');
+    if (overlay) overlay.className = 'overlay';
+
+    const popup = document.createElement('div');
+    popup.className = embedded ? 'popup embedded' : 'popup';
+    popup.setAttribute('role', embedded ? 'region' : 'dialog');
+    if (!embedded) popup.setAttribute('aria-modal', 'true');
+    popup.addEventListener('keydown', (e) => this._dialogKeydown(e, popup));
+
+    const nav = document.createElement('div');
+    nav.className = 'popup-nav';
+    const backBtn = document.createElement('button');
+    backBtn.className = 'icon-btn';
+    backBtn.title = this.t.back_button;
+    backBtn.setAttribute('aria-label', this.t.back_button);
+    backBtn.textContent = '←';
+    backBtn.addEventListener('click', () => this._popView());
+    const crumbs = document.createElement('div');
+    crumbs.className = 'breadcrumb';
+    crumbs.setAttribute('role', 'navigation');
+    nav.appendChild(backBtn);
+    nav.appendChild(crumbs);
+
+    const h2 = document.createElement('h2');
+    h2.id = `mass-dialog-title-${++this._uid}`;
+    h2.tabIndex = -1;
+    popup.setAttribute('aria-labelledby', h2.id);
+    const body = document.createElement('div');
+    body.className = 'popup-body';
+    body.addEventListener('keydown', (e) => this._resultsKeydown(e, body));
+
+    // Sort + filter act on the current view's results, no new query
+    const toolbar = document.createElement('div');
+    toolbar.className = 'popup-toolbar';
+    const filter = document.createElement('input');
+    filter.type = 'search';
+    filter.className = 'popup-filter';
+    filter.placeholder = this.t.filter_placeholder;
+    filter.setAttribute('aria-label', this.t.filter_placeholder);
+    filter.addEventListener('input', () => {
+      this._currentView().filter = filter.value;
+      this._renderViewBody();
+    });
+    const sortDrop = this._createDropdown('');
+    sortDrop.root.classList.add('sort-menu');
+    SORT_MODES.forEach((mode) => {
+      const item = this._createDropdownItem(this.t[`sort_${mode}`], () => {
+        this._currentView().sort = mode;
+        this._closeDropdown(sortDrop.root);
+        this._paintSort();
+        this._renderViewBody();
+      });
+      item.dataset.sort = mode;
+      sortDrop.list.appendChild(item);
+    });
+    toolbar.appendChild(filter);
+    toolbar.appendChild(sortDrop.root);
 
     const closeBtn = document.createElement('button');
     closeBtn.className = 'close-btn';
     closeBtn.textContent = this.t.close_button;
-    closeBtn.addEventListener('click', () => { if (overlay.parentElement) overlay.parentElement.removeChild(overlay); });
+    closeBtn.addEventListener('click', () => this._closePopup());
 
+    popup.appendChild(nav);
+    popup.appendChild(h2);
+    const errorSlot = document.createElement('div');
+    errorSlot.className = 'error-slot';
+    popup.appendChild(errorSlot);
+    popup.appendChild(toolbar);
+    popup.appendChild(body);
     popup.appendChild(closeBtn);
-    overlay.appendChild(popup);
-    this.shadowRoot.appendChild(overlay);
+    if (embedded) {
+      this.refs.resultsHost.appendChild(popup);
+    } else {
+      overlay.appendChild(popup);
+      this.shadowRoot.appendChild(overlay);
+    }
+
+    this._popup = { overlay: overlay || popup, embedded, popup, errorSlot, nav, backBtn, crumbs, h2, toolbar, filter, sortDrop, body, stack: [], returnFocus };
+  }
+
+  _closePopup(restoreFocus = true) {
+    const popup = this._popup;
+    popup?.moreObserver?.disconnect();
+    popup?.overlay.remove(); // not `parentElement`: that is null for a child of the shadow root
+    this._popup = null;
+    if (restoreFocus && popup?.returnFocus?.isConnected) popup.returnFocus.focus();
+  }
+
+  // Escape closes (unless a menu inside is open), Tab wraps around inside the dialog
+  _dialogKeydown(e, popup) {
+    if (e.key === 'Escape') {
+      if (popup.querySelector('.dropdown.open')) return;
+      e.stopPropagation();
+      this._closePopup();
+      return;
+    }
+    if (e.key !== 'Tab' || this._popup?.embedded) return;
+    const focusables = [...popup.querySelectorAll('button:not([disabled]), input:not([disabled]), summary, [tabindex="0"]')]
+      .filter((el) => el.getClientRects().length);
+    if (!focusables.length) return;
+    const active = this.shadowRoot.activeElement;
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    if (e.shiftKey && (active === first || !popup.contains(active))) { e.preventDefault(); last.focus(); }
+    else if (!e.shiftKey && (active === last || !popup.contains(active))) { e.preventDefault(); first.focus(); }
+  }
+
+  // Up/Down/Home/End between result rows; Enter plays natively (they are buttons)
+  _resultsKeydown(e, container) {
+    if (!e.target.classList?.contains('result-btn')) return;
+    this._navigateList(e, [...container.querySelectorAll('.result-btn')]);
+  }
+
+  _groupsFromResponse(res) {
+    return RESULT_GROUPS
+      .map((g) => ({ type: g.type, items: res?.[g.key] || [] }))
+      .filter((g) => g.items.length);
+  }
+
+  _pushView(view) {
+    this._popup.stack.push(view);
+    this._renderView();
+  }
+
+  // Go back to `depth` in the view stack (default: one level up)
+  _popView(depth = this._popup.stack.length - 2) {
+    if (depth < 0) return;
+    this._popup.stack.length = depth + 1;
+    this._renderView();
+  }
+
+  _currentView() {
+    const { stack } = this._popup;
+    return stack[stack.length - 1];
+  }
+
+  _renderView() {
+    const { stack, nav, crumbs, h2, filter } = this._popup;
+    const view = this._currentView();
+
+    nav.style.display = stack.length > 1 ? '' : 'none';
+    crumbs.innerHTML = '';
+    stack.forEach((v, i) => {
+      if (i) crumbs.appendChild(Object.assign(document.createElement('span'), { className: 'sep', textContent: '›' }));
+      const crumb = document.createElement(i === stack.length - 1 ? 'span' : 'button');
+      crumb.className = 'crumb';
+      crumb.textContent = v.crumb || v.title;
+      crumb.title = crumb.textContent;
+      if (i < stack.length - 1) crumb.addEventListener('click', () => this._popView(i));
+      crumbs.appendChild(crumb);
+    });
+
+    h2.textContent = view.title;
+    filter.value = view.filter || '';
+    this._paintSort();
+    h2.focus();
+    this._renderViewBody();
+    this._popup.popup.scrollTop = 0;
+  }
+
+  // Keeps the scroll position, so appending a page or filtering does not jump to the top
+  _renderViewBody() {
+    const { popup, toolbar, body } = this._popup;
+    const view = this._currentView();
+    const { scrollTop } = popup;
+    this._popup.moreObserver?.disconnect();
+    toolbar.style.display = view.loading || view.error || !view.groups.length ? 'none' : '';
+    body.innerHTML = '';
+    if (view.cache) body.appendChild(this._cacheStatus(view.cache));
+
+    if (view.loading) {
+      const spinner = document.createElement('div');
+      spinner.className = 'spinner';
+      body.appendChild(spinner);
+      this._appendMessage(body, this.t.loading);
+    } else if (view.error) {
+      this._appendMessage(body, this.t.error_fetching);
+    } else {
+      const groups = this._sortFilterGroups(view);
+      if (view.groups.length && !groups.length) this._appendMessage(body, this.t.no_matches);
+      else this._renderGroups(body, groups);
+      if (view.fetchPage && !view.exhausted) this._appendLoadMore(body, view);
+    }
+    popup.scrollTop = scrollTop;
+  }
+
+  _paintSort() {
+    const { sortDrop } = this._popup;
+    const sort = this._currentView().sort || 'relevance';
+    sortDrop.btn.textContent = `${this.t.sort_label}: ${this.t[`sort_${sort}`]} ▼`;
+    const selected = sortDrop.list.querySelector(`[data-sort="${sort}"]`);
+    this._markSelected(sortDrop.list, selected);
+  }
+
+  // Copy of the view's groups with the filter and sort applied; empty groups are dropped
+  _sortFilterGroups({ groups, sort = 'relevance', filter = '' }) {
+    const needle = filter.trim().toLowerCase();
+    const matches = (item) => !needle || [item.name, item.owner, item.album?.name, ...(item.artists || []).map((a) => a.name)]
+      .some((text) => text && String(text).toLowerCase().includes(needle));
+    const compare = this._sortComparator(sort);
+    return groups
+      .map((g) => {
+        const items = g.items.filter(matches);
+        return { ...g, items: compare ? items.sort(compare) : items };
+      })
+      .filter((g) => g.items.length);
+  }
+
+  _sortComparator(sort) {
+    const missingLast = (value) => (f) => (a, b) => {
+      const x = value(a);
+      const y = value(b);
+      if (!x || !y) return !x - !y;
+      return f(x, y);
+    };
+    switch (sort) {
+      case 'name': return (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base' });
+      case 'year': return missingLast((i) => parseInt(this._itemYear(i), 10))((x, y) => y - x);
+      case 'duration': return missingLast((i) => i.duration)((x, y) => x - y);
+      default: return null;
+    }
+  }
+
+  // Flat list for a single unlabeled group, collapsible sections otherwise
+  _renderGroups(container, groups) {
+    if (groups.length === 0) {
+      this._appendMessage(container, this.t.no_results);
+    } else if (groups.length === 1 && !groups[0].label) {
+      this._appendResults(container, groups[0].items, groups[0].type);
+    } else {
+      groups.forEach((g) => container.appendChild(this._resultSection(g)));
+    }
+  }
+
+  async _openDetails(mediaItem, mediaType) {
+    if (!this._popup) this._openOverlay(); // opened from the inline results
+    const view = { title: mediaItem?.name || '—', loading: true, groups: [] };
+    this._pushView(view);
+    try {
+      view.groups = await this._fetchDetails(mediaItem, mediaType);
+    } catch (e) {
+      view.error = true;
+      console.error('Music Assistant details error:', e);
+    }
+    view.loading = false;
+    // Only repaint if the user has not navigated away in the meantime
+    if (this._popup?.stack[this._popup.stack.length - 1] === view) this._renderView();
+  }
+
+  // Artist: top tracks + albums from the library. Album/playlist: its tracks via the media browser.
+  async _fetchDetails(mediaItem, mediaType) {
+    const limit = Math.max(1, Math.min(parseInt(this.selectedLimit || 20, 10), 60));
+    if (mediaType === 'artist') {
+      const byArtist = (items = []) => items.filter((i) =>
+        (i.artists || []).some((a) => a.uri === mediaItem.uri || a.name === mediaItem.name));
+      const [tracks, albums] = await Promise.all([
+        this._callMass('get_library', { media_type: 'track', search: mediaItem.name, limit, order_by: 'play_count_desc' }),
+        this._callMass('get_library', { media_type: 'album', search: mediaItem.name, limit, order_by: 'year_desc' }),
+      ]);
+      return [
+        { type: 'track', label: this.t.top_tracks, items: byArtist(tracks?.response?.items) },
+        { type: 'album', items: byArtist(albums?.response?.items) },
+      ].filter((g) => g.items.length);
+    }
+
+    // Any Music Assistant player can browse; the selected one is on the right server
+    const player = this.selectedMediaPlayer || this.mediaPlayerEntities[0]?.entity_id;
+    if (!player) throw new Error('No Music Assistant player to browse with');
+    const listing = await this._hass.callWS({
+      type: 'media_player/browse_media', entity_id: player, media_content_id: mediaItem.uri, media_content_type: mediaType,
+    });
+    const items = (listing?.children || []).map((child) => ({
+      uri: child.media_content_id,
+      name: child.title,
+      media_type: 'track',
+      image: child.thumbnail || undefined,
+    }));
+    return items.length ? [{ type: 'track', items }] : [];
+  }
+
+  // Collapsible group of results for one media type ("All" searches, artist details)
+  _resultSection({ type, label, items }) {
+    const section = document.createElement('details');
+    section.className = 'result-section';
+    section.open = true;
+    const summary = document.createElement('summary');
+    const name = document.createElement('span');
+    name.textContent = label || this.t[`section_${type}`] || type;
+    const count = document.createElement('span');
+    count.className = 'count';
+    count.textContent = this._formatNumber(items.length);
+    summary.appendChild(name);
+    summary.appendChild(count);
+    section.appendChild(summary);
+    this._appendResults(section, items, type);
+    return section;
+  }
+
+  _appendResults(parent, items, type) {
+    if (this.config.results_view === 'grid') {
+      const grid = document.createElement('div');
+      grid.className = 'result-grid';
+      items.forEach((item) => grid.appendChild(this._resultButton(item, type)));
+      parent.appendChild(grid);
+    } else if (items.length > VIRTUALIZE_AFTER) {
+      parent.appendChild(this._virtualList(items, type));
+    } else {
+      items.forEach((item) => parent.appendChild(this._resultButton(item, type)));
+    }
+  }
+
+  // Fixed-height window over `items`: only the rows around the visible part of the
+  // scrolling popup / inline list exist; the focused row is kept while it scrolls away.
+  _virtualList(items, type) {
+    const list = document.createElement('div');
+    list.className = 'virtual-list';
+    list.style.height = `${items.length * ROW_HEIGHT}px`;
+    const rows = new Map();
+    let scroller = null;
+
+    const update = () => {
+      if (!list.isConnected) { scroller?.removeEventListener('scroll', update); return; }
+      const viewport = scroller.getBoundingClientRect();
+      const top = viewport.top - list.getBoundingClientRect().top;
+      const first = Math.max(0, Math.floor(top / ROW_HEIGHT) - VIRTUAL_OVERSCAN);
+      const last = Math.min(items.length, Math.ceil((top + viewport.height) / ROW_HEIGHT) + VIRTUAL_OVERSCAN);
+      rows.forEach((row, i) => {
+        if ((i < first || i >= last) && !row.contains(this.shadowRoot.activeElement)) { row.remove(); rows.delete(i); }
+      });
+      for (let i = first; i < last; i++) {
+        if (rows.has(i)) continue;
+        const row = this._resultButton(items[i], type);
+        row.style.top = `${i * ROW_HEIGHT}px`;
+        // Keep DOM order = list order, for arrow-key navigation and screen readers
+        const next = Math.min(...[...rows.keys()].filter((k) => k > i));
+        list.insertBefore(row, rows.get(next) || null);
+        rows.set(i, row);
+      }
+    };
+
+    requestAnimationFrame(() => {
+      scroller = list.closest('.popup, .inline-results');
+      if (!scroller) return;
+      scroller.addEventListener('scroll', update, { passive: true });
+      list.closest('details')?.addEventListener('toggle', update);
+      update();
+    });
+    return list;
   }
 
-  _resultButton(mediaItem) {
+  _resultButton(mediaItem, mediaType = mediaItem?.media_type || this.selectedMediaType) {
     const btn = document.createElement('button');
     btn.className = 'result-btn';
 
     const imgWrap = document.createElement('div');
     imgWrap.className = 'image-wrap';
     const img = document.createElement('img');
+    img.loading = 'lazy';
+    img.decoding = 'async';
     img.src = this._safeImage(mediaItem?.image);
-    img.alt = mediaItem?.name || 'item';
+    img.alt = mediaItem?.name || this.t.image_alt;
     imgWrap.appendChild(img);
 
     const textWrap = document.createElement('div');
@@ -450,15 +1795,22 @@ class MassSearchCard extends HTMLElement {
     const title = document.createElement('div');
     title.className = 'text-primary';
     title.textContent = mediaItem?.name || '—';
+    if (mediaItem?.explicit || mediaItem?.metadata?.explicit) {
+      const badge = document.createElement('span');
+      badge.className = 'explicit-badge';
+      badge.textContent = 'E';
+      badge.title = this.t.explicit;
+      title.prepend(badge);
+    }
 
     const uri = mediaItem?.uri || '';
-    const isTrack = uri.includes('track');
-    const isArtist = uri.includes('artist');
-    const isRadio = uri.includes('radio');
-    const isPlaylist = uri.includes('playlist');
+    const isTrack = mediaType === 'track';
+    const isArtist = mediaType === 'artist';
+    const isRadio = mediaType === 'radio';
+    const isPlaylist = mediaType === 'playlist';
 
     const artistName = mediaItem?.artists?.[0]?.name ||
-      (isRadio ? this.t.radio_label : isPlaylist ? this.t.playlist_label : this.t.unknown_artist);
+      (isRadio ? this.t.radio_label : isPlaylist ? (mediaItem?.owner || this.t.playlist_label) : this.t.unknown_artist);
 
     const secondary = document.createElement('div');
     secondary.className = 'text-secondary';
@@ -471,12 +1823,17 @@ class MassSearchCard extends HTMLElement {
       secondary.textContent = artistName;
     }
 
+    const meta = document.createElement('div');
+    meta.className = 'text-meta';
+    meta.textContent = this._itemMeta(mediaItem, mediaType).join(' • ');
+
     textWrap.appendChild(title);
     if (secondary.textContent) textWrap.appendChild(secondary);
+    if (meta.textContent) textWrap.appendChild(meta);
 
     const providers = document.createElement('div');
     providers.className = 'provider-icons';
-    this._providerIcons(uri).forEach((i) => providers.appendChild(i));
+    this._providerIcons(mediaItem).forEach((i) => providers.appendChild(i));
 
     const miniWrap = document.createElement('div');
     miniWrap.className = 'mini-wrap';
@@ -486,34 +1843,503 @@ class MassSearchCard extends HTMLElement {
     btn.appendChild(providers);
     btn.appendChild(miniWrap);
 
-    btn.addEventListener('click', async () => {
-      if (!this.selectedMediaPlayer || !this.selectedMediaType || !uri) return;
-      if (btn.hasAttribute('disabled')) return;
-      btn.setAttribute('disabled', 'true');
+    const play = (opts) => this._playItem(btn, miniWrap, mediaItem, mediaType, opts);
+    this._bindGestures(btn, (gesture) => this._runRowAction(this._gestureAction(gesture), { mediaItem, mediaType, play, menu }));
+
+    // Action menu: one entry per enqueue mode, plus "start radio" with the default mode
+    const menu = this._createDropdown('');
+    menu.root.classList.add('row-menu');
+    menu.btn.textContent = '⋮';
+    menu.btn.title = this.t.more_actions;
+    menu.btn.setAttribute('aria-label', this.t.more_actions);
+    const addMenuItem = (label, opts) => {
+      menu.list.appendChild(this._createDropdownItem(label, () => {
+        this._closeDropdown(menu.root);
+        play(opts);
+      }));
+    };
+    ENQUEUE_MODES.forEach((mode) => addMenuItem(this.t[`enqueue_${mode}`], { enqueue: mode }));
+    addMenuItem(this.t.radio_mode_label, { radioMode: true });
+
+    const row = document.createElement('div');
+    row.className = 'result-row';
+    row.appendChild(btn);
+    if (uri) {
+      LIBRARY_FLAGS.filter((flag) => this._itemFlag(mediaItem, flag.field)).forEach((flag) => {
+        const badge = document.createElement('span');
+        badge.className = `flag-badge flag-${flag.field}`;
+        badge.textContent = flag.icon;
+        badge.title = this.t[flag.label];
+        badge.setAttribute('role', 'img');
+        badge.setAttribute('aria-label', badge.title);
+        row.appendChild(badge);
+      });
+    }
+    row.appendChild(menu.root);
+
+    if (['artist', 'album', 'playlist'].includes(mediaType)) {
+      const browseBtn = document.createElement('button');
+      browseBtn.className = 'icon-btn browse-btn';
+      browseBtn.title = this.t.show_details;
+      browseBtn.setAttribute('aria-label', `${this.t.show_details}: ${mediaItem?.name || ''}`);
+      browseBtn.textContent = '›';
+      browseBtn.addEventListener('click', () => this._openDetails(mediaItem, mediaType));
+      row.appendChild(browseBtn);
+    }
+    return row;
+  }
+
+  _gestureAction(gesture) {
+    const key = `${gesture}_action`;
+    return this.config[key] || DEFAULT_ROW_ACTIONS[key];
+  }
+
+  // tap / hold / double_tap on `el`. Hold fires after HOLD_MS without moving and eats the
+  // click that follows (also on touch); gestures set to `none` cost nothing.
+  _bindGestures(el, onGesture) {
+    let holdTimer = null;
+    let held = false;
+    let tapTimer = null;
+    let start = null;
+    const cancelHold = () => { clearTimeout(holdTimer); holdTimer = null; };
+
+    el.addEventListener('pointerdown', (e) => {
+      held = false;
+      if (e.button !== 0 || this._gestureAction('hold').action === 'none') return;
+      start = { x: e.clientX, y: e.clientY };
+      holdTimer = setTimeout(() => { held = true; holdTimer = null; onGesture('hold'); }, HOLD_MS);
+    });
+    el.addEventListener('pointermove', (e) => {
+      if (holdTimer && Math.hypot(e.clientX - start.x, e.clientY - start.y) > 10) cancelHold();
+    });
+    ['pointerup', 'pointercancel', 'pointerleave'].forEach((type) => el.addEventListener(type, cancelHold));
+    el.addEventListener('contextmenu', (e) => { if (held || holdTimer) e.preventDefault(); });
+
+    el.addEventListener('click', (e) => {
+      if (held) { held = false; e.preventDefault(); e.stopPropagation(); return; }
+      if (e.detail === 0 || this._gestureAction('double_tap').action === 'none') { onGesture('tap'); return; }
+      if (tapTimer) {
+        clearTimeout(tapTimer);
+        tapTimer = null;
+        onGesture('double_tap');
+      } else {
+        tapTimer = setTimeout(() => { tapTimer = null; onGesture('tap'); }, DOUBLE_TAP_MS);
+      }
+    });
+  }
+
+  _runRowAction(config, { mediaItem, mediaType, play, menu }) {
+    switch (config.action) {
+      case 'play': return play();
+      case 'enqueue': return play({ enqueue: config.enqueue || 'next' });
+      case 'radio': return play({ radioMode: true });
+      case 'details':
+        if (['artist', 'album', 'playlist'].includes(mediaType)) this._openDetails(mediaItem, mediaType);
+        return undefined;
+      case 'menu':
+        this._toggleDropdown(menu.root, true);
+        return this._focusOption(menu.list);
+      case 'perform-action':
+      case 'call-service': return this._performAction(config, mediaItem, mediaType);
+      default: return undefined;
+    }
+  }
+
+  // Any service, with {{ uri }}, {{ name }}, {{ media_type }}, {{ player }} filled in
+  async _performAction(config, mediaItem, mediaType) {
+    const vars = { uri: mediaItem?.uri || '', name: mediaItem?.name || '', media_type: mediaType, player: this.selectedMediaPlayer || '' };
+    const [domain, service] = (config.perform_action || config.service).split('.');
+    try {
+      await this._hass.callService(domain, service,
+        this._fillTemplate(config.data || config.service_data || {}, vars),
+        config.target ? this._fillTemplate(config.target, vars) : undefined);
+    } catch (e) {
+      this._showError(this.t.error_action, e, () => this._performAction(config, mediaItem, mediaType));
+      console.error(`${domain}.${service} error:`, e);
+    }
+  }
+
+  _fillTemplate(value, vars) {
+    if (typeof value === 'string') return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (key in vars ? vars[key] : m));
+    if (Array.isArray(value)) return value.map((v) => this._fillTemplate(v, vars));
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this._fillTemplate(v, vars)]));
+    return value;
+  }
+
+  // DOM event for other cards / scripts on the page, plus the bus event for automations
+  _played(detail) {
+    this._emit('played', detail);
+    // Only admins may use `fire_event`; for anyone else it would fail on every play
+    if (this.config.fire_event === false || !this._hass.user?.is_admin) return;
+    this._hass.callWS({ type: 'fire_event', event_type: PLAYED_EVENT, event_data: detail })
+      .catch((e) => console.warn(`${PLAYED_EVENT} not fired:`, e?.message || e));
+  }
+
+  _emit(name, detail) {
+    this.dispatchEvent(new CustomEvent(`mass-search-card-${name}`, { detail, bubbles: true, composed: true }));
+  }
+
+  // Duration, year, album type and track count — whatever the item carries
+  _itemMeta(mediaItem, mediaType) {
+    const parts = [];
+    if (mediaItem?.duration) parts.push(this._formatTime(mediaItem.duration));
+    else if (mediaType === 'track') parts.push(this.t.unknown_duration);
+    const year = this._itemYear(mediaItem);
+    if (year) parts.push(String(year));
+    const albumType = mediaType === 'album' && mediaItem?.album_type;
+    if (albumType && albumType !== 'unknown') parts.push(this.t[`album_type_${albumType}`] || albumType);
+    const tracks = mediaItem?.track_count ?? mediaItem?.tracks?.length;
+    if (['album', 'playlist'].includes(mediaType) && tracks) parts.push(this._plural('track_count', tracks));
+    return parts;
+  }
+
+  _itemYear(mediaItem) {
+    return mediaItem?.year || mediaItem?.album?.year || mediaItem?.metadata?.release_date?.slice?.(0, 4) || 0;
+  }
+
+  async _playItem(btn, miniWrap, mediaItem, mediaType, { enqueue = this._defaultEnqueue(), radioMode = !!this.config.radio_mode } = {}) {
+    const uri = mediaItem?.uri || '';
+    // Every player may have been unchecked since the search: say so, as `_runSearch` does
+    if (!this.selectedMediaPlayer) { this._setInvalid(this.refs.playerDrop, this.t.dropdown_label_media_player); return; }
+    if (!mediaType || !uri) return;
+    if (btn.hasAttribute('disabled')) return;
+    btn.setAttribute('disabled', 'true');
+
+    const mini = document.createElement('div');
+    mini.className = 'spinner-mini';
+    miniWrap.innerHTML = '';
+    miniWrap.appendChild(mini);
+
+    const payload = {
+      entity_id: this.selectedMediaPlayer,
+      media_type: mediaType,
+      media_id: uri,
+    };
+    if (enqueue) payload.enqueue = enqueue;
+    if (radioMode) payload.radio_mode = true;
+
+    // Several players: either group them behind the first one, or send to all of them
+    const targets = this.selectedMediaPlayers;
+    const grouped = this.groupPlayers && targets.length > 1;
+    if (targets.length > 1 && !grouped) payload.entity_id = targets;
+
+    try {
+      if (grouped) {
+        await this._hass.callService('media_player', 'join', { entity_id: targets[0], group_members: targets.slice(1) });
+      }
+      await this._hass.callService('music_assistant', 'play_media', payload);
+      this._announce(`${this.t.playing_media} ${mediaItem.name || uri}`);
+      this._snackbar(`${this.t.playing_media} ${mediaItem.name || uri}`);
+      this._played({
+        item: { uri, name: mediaItem.name || '', media_type: mediaType, image: this._safeImage(mediaItem.image) },
+        players: targets,
+        grouped,
+        enqueue: enqueue || null,
+        radio_mode: !!radioMode,
+      });
+    } catch (e) {
+      this._showError(this.t.error_playing, e, () => this._playItem(btn, miniWrap, mediaItem, mediaType, { enqueue, radioMode }));
+      console.error('play_media error:', e);
+    } finally {
+      setTimeout(() => { btn.removeAttribute('disabled'); miniWrap.innerHTML = ''; }, 700);
+    }
+  }
+
+  // Library items from search come back with provider "library" when `in_library` is absent
+  _itemFlag(mediaItem, field) {
+    if (field === 'in_library') return !!(mediaItem?.in_library ?? mediaItem?.provider === 'library');
+    return !!mediaItem?.[field];
+  }
+
+  _defaultEnqueue() {
+    const mode = this.config?.enqueue_mode;
+    return ENQUEUE_MODES.includes(mode) ? mode : undefined;
+  }
+
+  // ====== Now playing ======
+  _createNowPlaying() {
+    const root = document.createElement('div');
+    root.className = 'now-playing';
+    root.style.display = 'none';
+
+    const main = document.createElement('div');
+    main.className = 'np-main';
+    const art = document.createElement('img');
+    art.className = 'np-art';
+    art.alt = this.t.now_playing;
+    const text = document.createElement('div');
+    text.className = 'np-text';
+    const title = document.createElement('span');
+    title.className = 'np-title';
+    const artist = document.createElement('span');
+    artist.className = 'np-artist';
+    text.appendChild(title);
+    text.appendChild(artist);
+
+    const controls = document.createElement('div');
+    controls.className = 'np-controls';
+    const control = (label, icon, service) => {
+      const b = document.createElement('button');
+      b.className = 'icon-btn';
+      b.title = label;
+      b.setAttribute('aria-label', label);
+      b.textContent = icon;
+      b.addEventListener('click', () => this._playerService(service));
+      controls.appendChild(b);
+      return b;
+    };
+    control(this.t.previous_track, '⏮', 'media_previous_track');
+    const playPause = control(this.t.play_pause, '⏯', 'media_play_pause');
+    control(this.t.next_track, '⏭', 'media_next_track');
+
+    main.appendChild(art);
+    main.appendChild(text);
+    main.appendChild(controls);
+
+    // Sliders only send on `change`; while dragging (`input`) hass updates leave them alone
+    const slider = (label, onCommit) => {
+      const range = document.createElement('input');
+      range.type = 'range';
+      range.min = '0';
+      range.title = label;
+      range.setAttribute('aria-label', label);
+      range.addEventListener('input', () => { range.dataset.dragging = '1'; });
+      range.addEventListener('change', () => { delete range.dataset.dragging; onCommit(Number(range.value)); });
+      return range;
+    };
+    const seekRow = document.createElement('div');
+    seekRow.className = 'np-row';
+    const position = document.createElement('span');
+    const seek = slider(this.t.seek, (v) => this._playerService('media_seek', { seek_position: v }));
+    const duration = document.createElement('span');
+    const volumeIcon = document.createElement('span');
+    volumeIcon.textContent = '🔊';
+    const volume = slider(this.t.volume, (v) => this._playerService('volume_set', { volume_level: v / 100 }));
+    volume.max = '100';
+    volume.classList.add('np-volume');
+    seekRow.appendChild(position);
+    seekRow.appendChild(seek);
+    seekRow.appendChild(duration);
+    seekRow.appendChild(volumeIcon);
+    seekRow.appendChild(volume);
+
+    root.appendChild(main);
+    root.appendChild(seekRow);
+    return { root, art, title, artist, playPause, position, seek, duration, volume };
+  }
+
+  _updateNowPlaying() {
+    const np = this.refs.nowPlaying;
+    if (!np || !this._hass) return;
+    const st = this.selectedMediaPlayer ? this._hass.states[this.selectedMediaPlayer] : null;
+    const a = st?.attributes || {};
+    const visible = (this.config.show_now_playing ?? this._layout() !== 'compact') && !!a.media_title && st.state !== 'unavailable';
+    np.root.style.display = visible ? '' : 'none';
+
+    const playing = visible && st.state === 'playing';
+    if (playing && !this._nowPlayingTimer) this._nowPlayingTimer = setInterval(() => this._updateNowPlaying(), 1000);
+    if (!playing && this._nowPlayingTimer) { clearInterval(this._nowPlayingTimer); this._nowPlayingTimer = null; }
+    if (!visible) return;
+
+    // entity_picture is usually a same-origin proxy path
+    const src = this._localOrSafeImage(a.entity_picture || '');
+    if (np.art.getAttribute('src') !== src) np.art.src = src;
+    np.title.textContent = a.media_title;
+    np.artist.textContent = [a.media_artist, a.media_album_name].filter(Boolean).join(' • ');
+    np.playPause.textContent = playing ? '⏸' : '▶';
+
+    // Position is reported at `media_position_updated_at`; extrapolate while playing
+    const duration = Number(a.media_duration) || 0;
+    let position = Number(a.media_position) || 0;
+    if (playing && a.media_position_updated_at) {
+      position += (Date.now() - new Date(a.media_position_updated_at).getTime()) / 1000;
+    }
+    position = Math.max(0, Math.min(position, duration || position));
+    np.position.textContent = this._formatTime(position);
+    np.duration.textContent = duration ? this._formatTime(duration) : '';
+    np.seek.disabled = !duration;
+    np.seek.max = String(Math.round(duration));
+    if (!np.seek.dataset.dragging) np.seek.value = String(Math.round(position));
+    if (!np.volume.dataset.dragging && a.volume_level !== undefined) np.volume.value = String(Math.round(a.volume_level * 100));
+  }
 
-      const mini = document.createElement('div');
-      mini.className = 'spinner-mini';
-      miniWrap.innerHTML = '';
-      miniWrap.appendChild(mini);
+  _playerService(service, data = {}) {
+    if (!this._hass || !this.selectedMediaPlayer) return;
+    this._hass.callService('media_player', service, { entity_id: this.selectedMediaPlayer, ...data })
+      .catch((e) => {
+        this._showError(this.t.error_action, e, () => this._playerService(service, data));
+        console.error(`media_player.${service} error:`, e);
+      });
+  }
+
+  // ====== Result cache ======
+  _cacheTtl() {
+    return (Number.isInteger(this.config.cache_ttl) ? this.config.cache_ttl : CACHE_TTL) * 1000;
+  }
+
+  _cacheSize() {
+    if (this.config.persist_state === false) return 0;
+    return Number.isInteger(this.config.cache_size) ? this.config.cache_size : CACHE_SIZE;
+  }
+
+  // Memory first, then localStorage; only a memory entry within the TTL is `fresh`
+  _cacheGet(key) {
+    const memory = this._cache.get(key);
+    if (memory) return { ...memory, fresh: Date.now() - memory.time < this._cacheTtl() };
+    const stored = this._cacheSize() ? this._loadCache()[key] : null;
+    return stored ? { ...stored, fresh: false } : null;
+  }
 
+  _cachePut(key, data) {
+    const entry = { data: { response: data?.response }, time: Date.now() };
+    this._cache.delete(key);
+    this._cache.set(key, entry);
+    if (this._cache.size > MEMORY_CACHE_SIZE) this._cache.delete(this._cache.keys().next().value);
+
+    const size = this._cacheSize();
+    if (!size) return;
+    const entries = { ...this._loadCache(), [key]: entry };
+    let keys = Object.keys(entries).sort((a, b) => entries[b].time - entries[a].time).slice(0, size);
+    // Over the storage quota: drop the oldest until it fits
+    while (keys.length) {
       try {
-        await this._hass.callService('music_assistant', 'play_media', {
-          entity_id: this.selectedMediaPlayer,
-          media_type: this.selectedMediaType,
-          media_id: uri,
-        });
-      } catch (e) {
-        this._toast(this.t.error_fetching);
-        console.error('play_media error:', e);
-      } finally {
-        setTimeout(() => { btn.removeAttribute('disabled'); miniWrap.innerHTML = ''; }, 700);
+        window.localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(Object.fromEntries(keys.map((k) => [k, entries[k]]))));
+        return;
+      } catch {
+        keys = keys.slice(0, -1);
       }
+    }
+  }
+
+  _loadCache() {
+    try { return JSON.parse(window.localStorage.getItem(CACHE_STORAGE_KEY)) || {}; } catch { return {}; }
+  }
+
+  _cacheStatus(cache) {
+    const status = document.createElement('div');
+    status.className = `cache-status ${cache.state}`;
+    if (cache.state === 'refreshing') {
+      const spinner = document.createElement('div');
+      spinner.className = 'spinner-mini';
+      status.appendChild(spinner);
+    }
+    status.appendChild(document.createTextNode(this._cacheStatusText(cache)));
+    return status;
+  }
+
+  _cacheStatusText({ state, time }) {
+    const at = new Date(time).toLocaleTimeString(this._locale, { hour: '2-digit', minute: '2-digit' });
+    return state === 'stale' ? this.t.stale_results.replace('{time}', at) : this.t.refreshing;
+  }
+
+  // ====== Persistence (per browser, per card) ======
+  // `storage_key` pins the slot; otherwise it is derived from the dashboard path and the options
+  // that say which players the card is for, so layout, language and other edits keep it
+  _storageKey(config = this.config) {
+    if (config?.storage_key) return `mass-search-card:${config.storage_key}`;
+    const { config_entry, default_player, entities } = config || {};
+    return this._hashedStorageKey(JSON.stringify([config_entry, default_player, entities]));
+  }
+
+  _hashedStorageKey(identity) {
+    const source = `${window.location?.pathname || ''}|${identity}`;
+    let hash = 5381;
+    for (let i = 0; i < source.length; i++) hash = ((hash << 5) + hash + source.charCodeAt(i)) | 0;
+    return `mass-search-card:${(hash >>> 0).toString(36)}`;
+  }
+
+  // A config edit that moves the slot takes the state along and drops the old one, so nothing
+  // is left behind; on load that also takes over the slot older versions keyed by the whole config.
+  // A shared `storage_key` slot is copied but not removed: other cards may still use it.
+  _moveState(previous) {
+    if (this.config.persist_state === false) return;
+    const from = previous ? this._storageKey(previous) : this._hashedStorageKey(JSON.stringify(this.config));
+    const to = this._storageKey();
+    if (from === to) return;
+    try {
+      const state = window.localStorage.getItem(from);
+      if (state === null) return;
+      if (window.localStorage.getItem(to) === null) window.localStorage.setItem(to, state);
+      if (!previous?.storage_key) window.localStorage.removeItem(from);
+    } catch {}
+  }
+
+  _loadState() {
+    if (this.config?.persist_state === false) return {};
+    try { return JSON.parse(window.localStorage.getItem(this._storageKey())) || {}; } catch { return {}; }
+  }
+
+  _saveState(patch) {
+    if (this.config?.persist_state === false) return;
+    try { window.localStorage.setItem(this._storageKey(), JSON.stringify({ ...this._loadState(), ...patch })); } catch {}
+  }
+
+  _historySize() {
+    return Number.isInteger(this.config?.history_size) ? this.config.history_size : 10;
+  }
+
+  _rememberSearch(query) {
+    this.lastQuery = query;
+    const type = this.selectedMediaType;
+    const history = (this._loadState().history || []).filter((h) => !(h.query === query && h.type === type));
+    this._saveState({ query, history: [{ query, type }, ...history].slice(0, this._historySize()) });
+  }
+
+  _renderHistory() {
+    const { list, root } = this.refs.historyDrop;
+    const history = this._loadState().history || [];
+    list.innerHTML = '';
+    if (!history.length) {
+      const empty = this._createDropdownItem(this.t.no_history, () => {});
+      empty.style.opacity = '0.7';
+      list.appendChild(empty);
+      return;
+    }
+    history.forEach((h) => {
+      const label = h.type ? `${h.query} (${this.t[`${h.type}_label`] || h.type})` : h.query;
+      list.appendChild(this._createDropdownItem(label, () => {
+        this._closeDropdown(root);
+        this._rerunSearch(h);
+      }));
     });
+    const clear = this._createDropdownItem(this.t.clear_history, () => {
+      this._saveState({ history: [] });
+      this._closeDropdown(root);
+    });
+    clear.classList.add('history-clear');
+    list.appendChild(clear);
+  }
+
+  // Runs the search given by `URL_PARAMS` once, then strips them so a reload (or a
+  // second card on the dashboard) does not run it again. Needs hass and the config entry.
+  _applyUrlQuery() {
+    if (!this._hass || !this.refs.input) return;
+    const url = new URL(window.location.href);
+    const hash = new URLSearchParams(url.hash.slice(1));
+    const params = [url.searchParams, hash].find((p) => p.has(URL_PARAMS.query));
+    if (!params) return;
+    const query = params.get(URL_PARAMS.query).trim();
+    const type = params.get(URL_PARAMS.type);
+    const player = params.get(URL_PARAMS.player);
+
+    Object.values(URL_PARAMS).forEach((key) => { url.searchParams.delete(key); hash.delete(key); });
+    url.hash = hash.toString();
+    window.history.replaceState(window.history.state, '', url);
+
+    if (player && (this.mediaPlayerEntities || []).some((e) => e.entity_id === player)) this._selectPlayers([player]);
+    const known = CONFIG_SCHEMA.default_media_type.enum.includes(type);
+    if (query) this._rerunSearch({ query, type: known ? type : null });
+  }
 
-    return btn;
+  _rerunSearch({ query, type }) {
+    this.refs.input.value = query;
+    if (type) this._setMediaType(type);
+    this._runSearch();
   }
 
   // ====== Helpers ======
+  // Button + listbox. Keyboard: arrows open it, arrows/Home/End/type-ahead move between
+  // options, Enter picks, Space toggles an option's checkbox, Escape/Tab close it.
   _createDropdown(labelText) {
     const root = document.createElement('div');
     root.className = 'dropdown';
@@ -522,7 +2348,24 @@ class MassSearchCard extends HTMLElement {
     btn.textContent = `${labelText} ▼`;
     const list = document.createElement('div');
     list.className = 'dropdown-list';
-    btn.addEventListener('click', (e) => { e.stopPropagation(); root.classList.toggle('open'); });
+    list.id = `mass-list-${++this._uid}`;
+    list.setAttribute('role', 'listbox');
+    btn.setAttribute('aria-haspopup', 'listbox');
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', list.id);
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const open = !root.classList.contains('open');
+      this._toggleDropdown(root, open);
+      if (open && e.detail === 0) this._focusOption(list); // opened with Enter/Space
+    });
+    btn.addEventListener('keydown', (e) => {
+      if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+      e.preventDefault();
+      this._toggleDropdown(root, true);
+      this._focusOption(list, e.key === 'ArrowUp');
+    });
+    list.addEventListener('keydown', (e) => this._listKeydown(e, root));
     root.appendChild(btn);
     root.appendChild(list);
     return { root, btn, list };
@@ -532,71 +2375,633 @@ class MassSearchCard extends HTMLElement {
     item.className = 'dropdown-item';
     item.textContent = text;
     item.title = text;
+    item.setAttribute('role', 'option');
+    item.tabIndex = -1;
     item.addEventListener('click', (e) => { e.stopPropagation(); onClick?.(); });
     return item;
   }
+  _toggleDropdown(root, open) {
+    root.classList.toggle('open', open);
+    root.firstElementChild.setAttribute('aria-expanded', String(open));
+  }
+  _closeDropdown(root) { this._toggleDropdown(root, false); }
 
-  _providerIcons(uri='') {
-    const icons = [];
-    const addImg = (src, alt) => { const i=document.createElement('img'); i.src=src; i.alt=alt; return i; };
-    if (uri.includes('ytmusic')) icons.push(addImg(this._ytmIcon(),'YouTube Music'));
-    if (uri.includes('spotify')) icons.push(addImg(this._spotifyIcon(),'Spotify'));
-    if (uri.includes('library')) icons.push(addImg(this._libraryIcon(),'Library'));
-    if (icons.length===0) icons.push(addImg(this._libraryIcon(),'Media'));
+  // Focus the selected option, else the first (or last) one
+  _focusOption(list, last = false) {
+    const options = [...list.querySelectorAll('[role="option"]')];
+    (options.find((o) => o.getAttribute('aria-selected') === 'true') || options[last ? options.length - 1 : 0])?.focus();
+  }
+  _markSelected(list, item) {
+    list.querySelectorAll('[role="option"]').forEach((o) => o.setAttribute('aria-selected', String(o === item)));
+  }
+
+  _listKeydown(e, root) {
+    const list = root.lastElementChild;
+    const options = [...list.querySelectorAll('[role="option"]')];
+    const option = e.target.closest('[role="option"]');
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this._closeDropdown(root);
+      root.firstElementChild.focus();
+    } else if (e.key === 'Tab') {
+      this._closeDropdown(root);
+    } else if ((e.key === 'Enter' || e.key === ' ') && option) {
+      e.preventDefault();
+      const index = options.indexOf(option);
+      const box = e.key === ' ' ? option.querySelector('input[type="checkbox"]') : null;
+      (box || option).click();
+      // The player list re-renders on toggle; keep focus on the same row
+      if (!option.isConnected) list.querySelectorAll('[role="option"]')[index]?.focus();
+      else if (!root.classList.contains('open')) root.firstElementChild.focus();
+    } else {
+      this._navigateList(e, options) || this._typeAhead(e, options);
+    }
+  }
+
+  // Arrow/Home/End focus movement over `items`; returns true when the key was handled
+  _navigateList(e, items) {
+    const i = items.findIndex((el) => el === e.target || el.contains(e.target));
+    const next = { ArrowDown: i + 1, ArrowUp: i - 1, Home: 0, End: items.length - 1 }[e.key];
+    if (next === undefined || !items.length) return false;
+    e.preventDefault();
+    items[Math.max(0, Math.min(next, items.length - 1))].focus();
+    return true;
+  }
+
+  _typeAhead(e, items) {
+    if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return false;
+    clearTimeout(this._typeAheadTimer);
+    this._typeAheadBuffer = (this._typeAheadBuffer || '') + e.key.toLowerCase();
+    this._typeAheadTimer = setTimeout(() => { this._typeAheadBuffer = ''; }, 600);
+    const match = items.find((el) => el.textContent.trim().toLowerCase().startsWith(this._typeAheadBuffer));
+    if (match) match.focus();
+    e.preventDefault();
+    return true;
+  }
+
+  // Polite live region: searching / N results / now playing
+  _announce(text) {
+    const region = this.refs.liveRegion;
+    if (!region) return;
+    region.textContent = '';
+    setTimeout(() => { region.textContent = text; }, 50);
+  }
+
+  _appendMessage(container, text) {
+    const p = document.createElement('p');
+    p.textContent = text;
+    p.style.color = 'var(--_text)';
+    container.appendChild(p);
+  }
+
+  // One badge per provider domain (from `provider_mappings`, else `provider`, else the URI
+  // scheme), followed by the best audio quality any mapping reports.
+  _providerIcons(mediaItem) {
+    const mappings = mediaItem?.provider_mappings || [];
+    const domainOf = (instance = '') => instance.split('--')[0];
+    const domains = [...new Set([
+      ...mappings.map((m) => m.provider_domain || domainOf(m.provider_instance)),
+      ...(mappings.length ? [] : [domainOf(mediaItem?.provider || (mediaItem?.uri || '').split('://')[0])]),
+    ].filter(Boolean))];
+
+    const icons = domains.map((domain) => {
+      const entry = { ...PROVIDERS[domain], ...this.config?.providers?.[domain] };
+      const img = document.createElement('img');
+      img.src = this._providerIconSrc(domain, entry);
+      img.alt = entry.name || domain;
+      img.title = img.alt;
+      return img;
+    });
+    if (icons.length === 0) {
+      const img = document.createElement('img');
+      img.src = this._libraryIcon();
+      img.alt = this.t.artwork_alt;
+      icons.push(img);
+    }
+
+    const quality = this._audioQuality(mappings);
+    if (quality) {
+      const badge = document.createElement('span');
+      badge.className = 'quality-badge';
+      badge.textContent = quality;
+      icons.push(badge);
+    }
     return icons;
   }
 
+  _providerIconSrc(domain, entry) {
+    if (entry.icon) return this._localOrSafeImage(entry.icon);
+    if (domain === 'spotify') return this._spotifyIcon();
+    if (domain === 'ytmusic') return this._ytmIcon();
+    if (domain === 'library') return this._libraryIcon();
+    return this._letterIcon(entry.short || domain.slice(0, 2).toUpperCase(), entry.color);
+  }
+
+  // "Lossless 24/96" style label for the best mapping, or '' when nothing is reported
+  _audioQuality(mappings) {
+    const formats = mappings.map((m) => m.audio_format).filter(Boolean);
+    if (!formats.length) return '';
+    const best = formats.reduce((a, b) =>
+      ((b.bit_depth || 0) * 1e6 + (b.sample_rate || 0) > (a.bit_depth || 0) * 1e6 + (a.sample_rate || 0) ? b : a));
+    const type = String(best.content_type || '').toLowerCase();
+    const lossless = LOSSLESS_FORMATS.some((f) => type.startsWith(f));
+    const resolution = best.bit_depth && best.sample_rate
+      ? `${best.bit_depth}/${Math.round(best.sample_rate / 100) / 10}` : '';
+    return [lossless ? this.t.lossless : '', resolution].filter(Boolean).join(' ');
+  }
+
   _safeImage(url) {
     const FALLBACK = this._fallbackAvatar();
     if (!url) return FALLBACK;
     try { if (!/^https:\/\//i.test(url)) return FALLBACK; return url; } catch { return FALLBACK; }
   }
+  // Same-origin paths (HA proxies, /local/...) and inline images are fine too
+  _localOrSafeImage(url='') {
+    if ((url.startsWith('/') && !url.startsWith('//')) || url.startsWith('data:image/')) return url;
+    return this._safeImage(url);
+  }
+  _formatTime(seconds){ const s=Math.max(0, Math.floor(seconds||0)); return `${Math.floor(s/60)}:${String(s%60).padStart(2,'0')}`; }
   _debounce(fn, ms){ clearTimeout(this._searchDebounceTimer); this._searchDebounceTimer=setTimeout(()=>fn(), ms); }
-  _toast(message){ try{ this._hass.callService('persistent_notification','create',{title:'Music Assistant',message}); }catch{} }
+  // Opt-in (`persistent_notifications`): the same message in Home Assistant's notification drawer
+  _toast(message){
+    if (!this.config.persistent_notifications) return;
+    try{ this._hass.callService('persistent_notification','create',{title:this.t.notification_title,message}); }catch{}
+  }
+
+  // ====== Feedback: hints, error banner, snackbar ======
+  _setInvalid(drop, message) {
+    const { fieldHint } = this.refs;
+    drop.root.classList.add('invalid');
+    drop.btn.setAttribute('aria-invalid', 'true');
+    drop.btn.setAttribute('aria-describedby', fieldHint.id);
+    fieldHint.textContent = message;
+    fieldHint.style.display = '';
+    this._announce(message);
+  }
+
+  _clearInvalid(drop) {
+    const { fieldHint } = this.refs;
+    if (!drop.root.classList.contains('invalid')) return;
+    drop.root.classList.remove('invalid');
+    drop.btn.removeAttribute('aria-invalid');
+    drop.btn.removeAttribute('aria-describedby');
+    if (!this.shadowRoot.querySelector('.dropdown.invalid')) fieldHint.style.display = 'none';
+  }
+
+  // Banner with the backend's detail and an optional retry; in the popup while it is open
+  _showError(message, error = null, retry = null) {
+    const slot = this._popup?.errorSlot || this.refs.errorSlot;
+    const detail = this._errorDetail(error);
+    slot.innerHTML = '';
+    const banner = document.createElement('div');
+    banner.className = 'error-banner';
+    banner.setAttribute('role', 'alert');
+    const text = document.createElement('div');
+    text.className = 'error-text';
+    text.textContent = message;
+    if (detail) {
+      const small = document.createElement('div');
+      small.className = 'error-detail';
+      small.textContent = detail;
+      text.appendChild(small);
+    }
+    banner.appendChild(text);
+    if (retry) {
+      const retryBtn = document.createElement('button');
+      retryBtn.className = 'error-retry';
+      retryBtn.textContent = this.t.retry;
+      retryBtn.addEventListener('click', () => { slot.innerHTML = ''; retry(); });
+      banner.appendChild(retryBtn);
+    }
+    const dismiss = document.createElement('button');
+    dismiss.className = 'icon-btn';
+    dismiss.textContent = '✕';
+    dismiss.title = this.t.dismiss;
+    dismiss.setAttribute('aria-label', this.t.dismiss);
+    dismiss.addEventListener('click', () => { slot.innerHTML = ''; });
+    banner.appendChild(dismiss);
+    slot.appendChild(banner);
+    this._toast(detail ? `${message} (${detail})` : message);
+  }
+
+  _clearError() {
+    this.refs.errorSlot.innerHTML = '';
+    if (this._popup) this._popup.errorSlot.innerHTML = '';
+  }
+
+  // Home Assistant rejects with { code, message } (websocket) or an Error
+  _errorDetail(error) {
+    if (!error) return '';
+    return error.message || error.body?.message || error.error || (typeof error === 'string' ? error : error.code || '');
+  }
+
+  _snackbar(message) {
+    let bar = this.shadowRoot.querySelector('.snackbar');
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.className = 'snackbar';
+      bar.setAttribute('role', 'status');
+      this.shadowRoot.appendChild(bar);
+    }
+    bar.textContent = message;
+    bar.classList.add('show');
+    clearTimeout(this._snackbarTimer);
+    this._snackbarTimer = setTimeout(() => bar.classList.remove('show'), 3000);
+  }
 
   // ====== HA wires ======
   set hass(hass) {
     this._hass = hass;
+    // Follow Home Assistant's language (when the card does not pin one), also after load
+    if (this.refs.input && this._setLanguage()) this._rerender();
+    this._refreshPlayers();
+
+    if (this.config?.follow_active && !this._playerPickedByUser) {
+      const active = this._activePlayer();
+      if (active) this.selectedMediaPlayer = active;
+    }
+
+    this._renderPlayerList();
+    this._updateNowPlaying();
+
+    if (this._massEntries === undefined && !this._entriesRequest) this._loadEntries().then(()=> this._applyUrlQuery());
+  }
 
-    this.mediaPlayerEntities = Object.keys(hass.states)
-      .filter((id)=> id.startsWith('media_player.') && hass.states[id]?.attributes?.mass_player_type)
-      .map((id)=> ({ entity_id:id, name:hass.states[id].attributes.friendly_name || id }));
+  // `entities` is an allow-list (and sets the order); `exclude_entities` always wins
+  _refreshPlayers() {
+    const hass = this._hass;
+    const { entities, exclude_entities: exclude = [], player_names: names = {} } = this.config || {};
+    this.mediaPlayerEntities = (entities || Object.keys(hass.states))
+      .filter((id)=> id.startsWith('media_player.') && hass.states[id]?.attributes?.mass_player_type && !exclude.includes(id) && this._onCurrentEntry(id))
+      .map((id)=> {
+        const st = hass.states[id];
+        return { entity_id:id, name:names[id] || st.attributes.friendly_name || id, state:st.state, title:st.attributes.media_title || '', changed:st.last_changed || '' };
+      });
+  }
+
+  // With several servers a player belongs to the entry of its device; unknown → listed
+  _onCurrentEntry(entityId) {
+    if (!(this._massEntries?.length > 1)) return true;
+    const deviceId = this._hass.entities?.[entityId]?.device_id;
+    const owners = this._hass.devices?.[deviceId]?.config_entries;
+    return !owners || owners.includes(this.configEntryId);
+  }
+
+  // All Music Assistant entries (null when this user may not list them: then the
+  // `config_entry` option is used as is, as before), then the one to use
+  _loadEntries() {
+    this._entriesRequest ||= this._hass.callApi('GET','config/config_entries/entry')
+      .then((entries)=> {
+        this._massEntries = entries.filter((x)=> x.domain === 'music_assistant')
+          .map(({ entry_id, title, state })=> ({ entry_id, title, state }));
+        this.configEntryId = this._pickEntry();
+      })
+      .catch(()=> {
+        this._massEntries = null;
+        this.configEntryId = this.config.config_entry || '';
+      })
+      .finally(()=> {
+        this._entriesRequest = null;
+        this._refreshPlayers();
+        this._renderEntries();
+        this._renderPlayerList();
+      });
+    return this._entriesRequest;
+  }
 
+  // Last pick on this device, else `config_entry` (id or title), else the first loaded entry
+  _pickEntry() {
+    const entries = this._massEntries;
+    const find = (wanted)=> wanted && entries.find((e)=> e.entry_id === wanted || e.title.toLowerCase() === wanted.toLowerCase());
+    const entry = find(this._loadState().configEntry) || find(this.config.config_entry)
+      || (this.config.config_entry ? null : entries.find((e)=> e.state === 'loaded') || entries[0]);
+    return entry?.entry_id || '';
+  }
+
+  // Why searching cannot work right now, as a message; '' when it can (or we cannot tell)
+  _entryProblem() {
+    const entries = this._massEntries;
+    if (!entries) return '';
+    if (!entries.length) return this.t.error_no_integration;
+    const entry = entries.find((e)=> e.entry_id === this.configEntryId);
+    if (!entry) return this.t.error_entry_not_found.replace('{entry}', this.config.config_entry || '');
+    if (entry.state !== 'loaded') return this.t.error_entry_not_loaded.replace('{title}', entry.title).replace('{state}', entry.state);
+    return '';
+  }
+
+  _renderEntries() {
+    const { entryDrop, entryError } = this.refs;
+    if (!entryDrop) return;
+    const entries = this._massEntries || [];
+    entryDrop.root.style.display = entries.length > 1 ? '' : 'none';
+    entryDrop.list.innerHTML = '';
+    entries.forEach((entry)=> {
+      const label = entry.state === 'loaded' ? entry.title : `${entry.title} (${entry.state})`;
+      const item = this._createDropdownItem(label, ()=> { this._closeDropdown(entryDrop.root); this._selectEntry(entry.entry_id); });
+      item.setAttribute('aria-selected', String(entry.entry_id === this.configEntryId));
+      if (entry.entry_id === this.configEntryId) entryDrop.btn.textContent = `${label} ▼`;
+      entryDrop.list.appendChild(item);
+    });
+    const problem = this._entryProblem();
+    entryError.textContent = problem;
+    entryError.style.display = problem ? '' : 'none';
+  }
+
+  // Switch server: its players only; selected players of the other server are dropped
+  _selectEntry(entryId) {
+    this.configEntryId = entryId;
+    this._saveState({ configEntry: entryId });
+    this._refreshPlayers();
+    const available = this.mediaPlayerEntities.map((e)=> e.entity_id);
+    this.selectedMediaPlayers = this.selectedMediaPlayers.filter((id)=> available.includes(id));
+    this._saveState({ players: this.selectedMediaPlayers });
+    this._clearInline();
+    this._renderEntries();
+    this._renderPlayerList();
+    this._updateNowPlaying();
+  }
+  // Presets, "select all", one checkbox row per player and the sync toggle. Clicking a
+  // player's name selects just that player; its checkbox adds/removes it.
+  _renderPlayerList() {
     const playerList = this.refs?.playerDrop?.list;
     const playerBtn = this.refs?.playerDrop?.btn;
-    if (playerList && playerBtn) {
-      playerList.innerHTML = '';
-      if (this.mediaPlayerEntities.length) {
-        this.mediaPlayerEntities.forEach((ent)=>{
-          const item = this._createDropdownItem(ent.name, ()=>{
-            this.selectedMediaPlayer = ent.entity_id;
-            playerBtn.textContent = `${ent.name} ▼`;
-            this.refs.playerDrop.root.classList.remove('open');
-          });
-          playerList.appendChild(item);
-        });
-      } else {
-        const item = this._createDropdownItem(this.t.no_results, ()=>{});
-        item.style.opacity = '0.7';
+    if (!playerList || !playerBtn) return;
+
+    // Home Assistant sends `hass` on every state change anywhere: only rebuild when what the
+    // list shows changed, so keyboard focus in an open list survives unrelated updates
+    const signature = JSON.stringify([
+      this.mediaPlayerEntities.map(({ entity_id, name, state, title })=> [entity_id, name, state, title]),
+      this.selectedMediaPlayers, this.groupPlayers,
+    ]);
+    if (this._playerListRendered?.list === playerList && this._playerListRendered.signature === signature) return;
+    this._playerListRendered = { list: playerList, signature };
+    const focused = this.shadowRoot.activeElement;
+    const focusKey = playerList.contains(focused) ? focused.dataset.key : null;
+    playerList.innerHTML = '';
+    const checkbox = (checked, onToggle)=>{
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = checked;
+      box.tabIndex = -1; // Space on the option toggles it
+      box.addEventListener('click', (e)=>{ e.stopPropagation(); onToggle(); });
+      return box;
+    };
+
+    if (this.mediaPlayerEntities.length) {
+      const available = this.mediaPlayerEntities.map((e)=> e.entity_id);
+      const selected = this.selectedMediaPlayers;
+
+      (this.config?.player_presets || []).forEach((preset)=>{
+        const ids = preset.entities.filter((id)=> available.includes(id));
+        if (!ids.length) return;
+        const item = this._createDropdownItem(`★ ${preset.name}`, ()=> this._selectPlayers(ids, true));
+        item.classList.add('preset-item');
+        item.dataset.key = `preset:${preset.name}`;
+        playerList.appendChild(item);
+      });
+
+      if (available.length > 1) {
+        const all = available.every((id)=> selected.includes(id));
+        const item = this._createDropdownItem(this.t.select_all, ()=> this._selectPlayers(all ? [] : available));
+        item.prepend(checkbox(all, ()=> this._selectPlayers(all ? [] : available)));
+        item.classList.add('check-item');
+        item.dataset.key = 'all';
+        playerList.appendChild(item);
+      }
+
+      this.mediaPlayerEntities.forEach((ent)=>{
+        const on = selected.includes(ent.entity_id);
+        const item = this._createDropdownItem(ent.name, ()=> this._selectPlayers([ent.entity_id], true));
+        this._decoratePlayerItem(item, ent);
+        item.setAttribute('aria-selected', String(on));
+        item.dataset.key = ent.entity_id;
+        item.prepend(checkbox(on, ()=> this._selectPlayers(on ? selected.filter((id)=> id !== ent.entity_id) : [...selected, ent.entity_id])));
+        playerList.appendChild(item);
+      });
+
+      if (selected.length > 1) {
+        const toggleSync = ()=>{
+          this.groupPlayers = !this.groupPlayers;
+          this._saveState({ groupPlayers: this.groupPlayers });
+          this._renderPlayerList();
+        };
+        const item = this._createDropdownItem(this.t.sync_players, toggleSync);
+        item.prepend(checkbox(this.groupPlayers, toggleSync));
+        item.classList.add('check-item', 'sync-item');
+        item.dataset.key = 'sync';
         playerList.appendChild(item);
       }
+    } else {
+      const item = this._createDropdownItem(this.t.no_results, ()=>{});
+      item.style.opacity = '0.7';
+      playerList.appendChild(item);
     }
+    if (focusKey) [...playerList.children].find((o)=> o.dataset.key === focusKey)?.focus();
+
+    const names = this.selectedMediaPlayers
+      .map((id)=> this.mediaPlayerEntities.find((e)=> e.entity_id === id)?.name)
+      .filter(Boolean);
+    playerBtn.textContent = names.length
+      ? `${names[0]}${names.length > 1 ? ` +${names.length - 1}` : ''} ▼`
+      : `${this.t.dropdown_label_media_player} ▼`;
+  }
 
-    if (!this.configEntryId) {
-      this._hass.callApi('GET','config/config_entries/entry')
-        .then((entries)=>{ const e=entries.find((x)=>x.domain==='music_assistant'); this.configEntryId=e?e.entry_id:''; })
-        .catch(()=>{ this.configEntryId=''; });
+  _selectPlayers(ids, close = false) {
+    this.selectedMediaPlayers = ids;
+    this._playerPickedByUser = true; // stop following the active player
+    this._saveState({ players: ids });
+    if (ids.length) this._clearInvalid(this.refs.playerDrop);
+    this._renderPlayerList();
+    this._updateNowPlaying();
+    if (close) { this._closeDropdown(this.refs.playerDrop.root); this.refs.playerDrop.btn.focus(); }
+  }
+
+  get selectedMediaPlayer(){ return this.selectedMediaPlayers[0] || null; }
+  set selectedMediaPlayer(id){ this.selectedMediaPlayers = id ? [id] : []; }
+
+  // Name + state badge + current track title
+  _decoratePlayerItem(item, ent) {
+    item.textContent = '';
+    item.classList.add('player-item');
+    const name = document.createElement('span');
+    name.className = 'player-name';
+    name.textContent = ent.name;
+    const badge = document.createElement('span');
+    badge.className = `state-badge state-${ent.state}`;
+    badge.textContent = this.t[`state_${ent.state}`] || ent.state;
+    item.appendChild(name);
+    item.appendChild(badge);
+    if (ent.title && ['playing','paused'].includes(ent.state)) {
+      const title = document.createElement('span');
+      title.className = 'player-title';
+      title.textContent = ent.title;
+      item.appendChild(title);
+      item.title = `${ent.name} — ${ent.title}`;
     }
   }
+
+  // Playing player (most recent change first); with nothing playing, only pick the most
+  // recently active one when there is no selection yet, so the choice does not bounce around
+  _activePlayer() {
+    const byRecent = (a,b)=> String(b.changed).localeCompare(String(a.changed));
+    const playing = this.mediaPlayerEntities.filter((e)=> e.state === 'playing').sort(byRecent);
+    if (playing.length) return playing[0].entity_id;
+    if (this.selectedMediaPlayer) return null;
+    return this.mediaPlayerEntities.filter((e)=> e.state !== 'unavailable').sort(byRecent)[0]?.entity_id || null;
+  }
   get hass(){ return this._hass; }
-  getCardSize(){ return 8; }
+  _layout(){ return this.config?.layout || 'default'; }
+  _embeddedResults(){ return ['inline', 'panel'].includes(this._layout()); }
+
+  // Masonry: the layout's size, minus the title row / now playing when they are hidden
+  getCardSize(){
+    const layout = this._layout();
+    let size = LAYOUTS[layout].cardSize;
+    if (layout !== 'compact' && this.config?.hide_title) size -= 1;
+    if (layout !== 'compact' && this.config?.show_now_playing === false) size -= 2;
+    return size;
+  }
+
+  // Sections view, older (4-column) API
+  getLayoutOptions(){
+    const { rows, columns, minRows, minColumns = 6 } = LAYOUTS[this._layout()];
+    return {
+      grid_rows: rows,
+      grid_columns: columns === 'full' ? 'full' : Math.ceil(columns / 3),
+      grid_min_rows: minRows,
+      grid_min_columns: Math.ceil(minColumns / 3),
+    };
+  }
+
+  getGridOptions(){
+    const { rows, columns, minRows, minColumns = 6 } = LAYOUTS[this._layout()];
+    return { rows, columns, min_rows: minRows, min_columns: minColumns };
+  }
+
+  static getConfigElement(){ return document.createElement('mass-search-card-editor'); }
+  static getStubConfig(hass){
+    const player = Object.keys(hass?.states || {}).find((id)=> id.startsWith('media_player.') && hass.states[id]?.attributes?.mass_player_type);
+    return player ? { default_player: player } : {};
+  }
 
   // ====== Icons ======
   _logoDataURI(){ return 'data:image/svg+xml;base64,'+btoa(`<svg width="64" height="64" viewBox="0 0 64 64" xmlns="http://www.w3.org/2000/svg"><defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#ff9800"/><stop offset="1" stop-color="#ff5722"/></linearGradient></defs><rect x="4" y="4" width="56" height="56" rx="12" fill="url(#g)"/><path d="M40 12v26.5a8.5 8.5 0 1 1-3-6.5V20h-9v18.5a8.5 8.5 0 1 1-3-6.5V12h15z" fill="white"/></svg>`); }
   _fallbackAvatar(){ return 'data:image/svg+xml;base64,'+btoa(`<svg width="44" height="44" viewBox="0 0 44 44" xmlns="http://www.w3.org/2000/svg"><rect width="44" height="44" rx="22" fill="#999"/><path d="M22 12a6 6 0 1 1 0 12a6 6 0 0 1 0-12zm0 14c6.6 0 12 3.4 12 7.5V36H10v-2.5C10 29.4 15.4 26 22 26z" fill="#fff"/></svg>`); }
   _ytmIcon(){ return 'data:image/svg+xml;base64,'+btoa(`<svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="10" fill="#FF0033"/><polygon points="10,8 16,12 10,16" fill="#fff"/></svg>`); }
   _spotifyIcon(){ return 'data:image/svg+xml;base64,'+btoa(`<svg width="24" height="24" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10" fill="#1DB954"/><path d="M7 10c3-1 7-1 10 1" stroke="#fff" stroke-width="1.6" fill="none" stroke-linecap="round"/><path d="M7 13c2.6-.8 6-.7 8.5.6" stroke="#fff" stroke-width="1.6" fill="none" stroke-linecap="round"/><path d="M7 16c2-.5 4.3-.4 6 .5" stroke="#fff" stroke-width="1.6" fill="none" stroke-linecap="round"/></svg>`); }
+  _letterIcon(text, color){
+    const label = String(text).replace(/[^A-Za-z0-9]/g,'').slice(0,2);
+    const fill = /^#[0-9a-f]{3,8}$/i.test(color || '') ? color : '#777';
+    return 'data:image/svg+xml;base64,'+btoa(`<svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="10" fill="${fill}"/><text x="12" y="12" dy=".35em" text-anchor="middle" font-family="sans-serif" font-weight="700" font-size="${label.length > 1 ? 8 : 11}" fill="#fff">${label}</text></svg>`);
+  }
   _libraryIcon(){ return 'data:image/svg+xml;base64,'+btoa(`<svg width="24" height="24" viewBox="0 0 24 24"><rect x="4" y="5" width="6" height="14" rx="1.5" fill="#666"/><rect x="10" y="5" width="6" height="14" rx="1.5" fill="#888"/><rect x="16" y="5" width="4" height="14" rx="1" fill="#aaa"/></svg>`); }
 }
 
+// ====== GUI editor ======
+const EDITOR_SCHEMA = [
+  { name: 'config_entry', selector: { config_entry: { integration: 'music_assistant' } } },
+  { name: 'default_player', selector: { entity: { filter: { domain: 'media_player', integration: 'music_assistant' } } } },
+  { name: 'entities', selector: { entity: { multiple: true, filter: { domain: 'media_player', integration: 'music_assistant' } } } },
+  { name: 'exclude_entities', selector: { entity: { multiple: true, filter: { domain: 'media_player', integration: 'music_assistant' } } } },
+  { name: 'player_names', selector: { object: {} } },
+  {
+    type: 'grid', name: '', schema: [
+      { name: 'default_media_type', selector: { select: { mode: 'dropdown', options: CONFIG_SCHEMA.default_media_type.enum } } },
+      { name: 'default_limit', selector: { number: { min: 0, max: 60, mode: 'box' } } },
+      { name: 'enqueue_mode', selector: { select: { mode: 'dropdown', options: ENQUEUE_MODES } } },
+      { name: 'layout', selector: { select: { mode: 'dropdown', options: Object.keys(LAYOUTS) } } },
+      { name: 'results_view', selector: { select: { mode: 'dropdown', options: ['list', 'grid'] } } },
+      {
+        name: 'language', selector: { select: { mode: 'dropdown', options: [
+          { value: 'en', label: 'English' }, { value: 'nl', label: 'Nederlands' },
+          { value: 'cs', label: 'Čeština' }, { value: 'sv', label: 'Svenska' },
+          { value: 'sk', label: 'Slovenčina' },
+        ] } },
+      },
+    ],
+  },
+  {
+    type: 'grid', name: '', schema: [
+      { name: 'follow_active', selector: { boolean: {} } },
+      { name: 'group_players', selector: { boolean: {} } },
+      { name: 'library_only', selector: { boolean: {} } },
+      { name: 'radio_mode', selector: { boolean: {} } },
+      { name: 'live_search', selector: { boolean: {} } },
+      { name: 'live_search_min_chars', selector: { number: { min: 1, max: 20, mode: 'box' } } },
+      { name: 'parse_query', selector: { boolean: {} } },
+      { name: 'voice_search', selector: { boolean: {} } },
+      { name: 'hide_title', selector: { boolean: {} } },
+      { name: 'hide_logo', selector: { boolean: {} } },
+      { name: 'show_now_playing', selector: { boolean: {} } },
+      { name: 'persist_state', selector: { boolean: {} } },
+      { name: 'history_size', selector: { number: { min: 0, max: 50, mode: 'box' } } },
+      { name: 'fire_event', selector: { boolean: {} } },
+      { name: 'cache_ttl', selector: { number: { min: 0, max: 86400, mode: 'box', unit_of_measurement: 's' } } },
+      { name: 'cache_size', selector: { number: { min: 0, max: 50, mode: 'box' } } },
+      { name: 'persistent_notifications', selector: { boolean: {} } },
+    ],
+  },
+];
+
+class MassSearchCardEditor extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._config = {};
+    this._hass = null;
+    this._form = null;
+  }
+
+  setConfig(config) {
+    this._config = { ...config };
+    this._render();
+  }
+
+  set hass(hass) {
+    this._hass = hass;
+    if (this._form) this._form.hass = hass;
+    if (this._form && this._labelLanguage() !== this._language) this._render();
+  }
+
+  // Labels follow the card's language: `language:` in the config, else the user's
+  _labelLanguage() {
+    return this._config.language || this._hass?.language || 'en';
+  }
+
+  _render() {
+    this._language = this._labelLanguage();
+    const { t } = resolveTranslations(this._language, this._config.translations);
+    if (!this._form) {
+      this._form = document.createElement('ha-form');
+      this._form.addEventListener('value-changed', (e) => this._valueChanged(e));
+      this.shadowRoot.appendChild(this._form);
+    }
+    this._form.computeLabel = (schema) => t[`editor_${schema.name}`] || schema.name;
+    this._form.hass = this._hass;
+    this._form.schema = EDITOR_SCHEMA;
+    this._form.data = this._config;
+  }
+
+  _valueChanged(e) {
+    e.stopPropagation();
+    const config = { ...e.detail.value };
+    // Cleared fields come back as '' / undefined / []; drop them so they fall back to the defaults
+    Object.keys(config).forEach((k) => {
+      const v = config[k];
+      if (v === '' || v === undefined || v === null || (Array.isArray(v) && !v.length)) delete config[k];
+    });
+    this._config = config;
+    this.dispatchEvent(new CustomEvent('config-changed', { detail: { config }, bubbles: true, composed: true }));
+  }
+}
+
 customElements.define('mass-search-card', MassSearchCard);
+customElements.define('mass-search-card-editor', MassSearchCardEditor);
+
+window.customCards = window.customCards || [];
+window.customCards.push({
+  type: 'mass-search-card',
+  name: 'Mass Search Card',
+  description: 'Search and play media using Music Assistant',
+});
@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHass, mountCard, resetDom, search, flush, $ } = require('./helpers');
+
+const CONFIG = { default_player: 'media_player.kitchen', default_media_type: 'all' };
+
+test.beforeEach(resetDom);
+
+const escape = () => document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+test('throws on invalid config, with the option in the message', () => {
+  const card = document.createElement('mass-search-card');
+  assert.throws(() => card.setConfig({ colour: 'red' }), /Unknown option "colour"/);
+  assert.throws(() => card.setConfig({ default_limit: 100 }), /"default_limit" must be a whole number from 0 to 60/);
+  assert.throws(() => card.setConfig({ layout: 'huge' }), /"layout" must be one of/);
+  assert.throws(() => card.setConfig({ default_player: 'light.kitchen' }), /"default_player"/);
+  assert.doesNotThrow(() => card.setConfig({ type: 'custom:mass-search-card', card_mod: {}, grid_options: {} }));
+});
+
+test('renders the search row, dropdowns and title in the configured language', async () => {
+  const card = await mountCard({ language: 'nl' });
+  assert.equal($(card, '.title-text').textContent, 'Zoek in Music Assistant');
+  assert.equal(card.refs.input.placeholder, 'Typ hier je zoekterm...');
+  assert.ok(card.refs.playerDrop && card.refs.mediaTypeDrop);
+});
+
+test('re-renders in the new language when Home Assistant switches, keeping the input', async () => {
+  const card = await mountCard(CONFIG);
+  card.refs.input.value = 'abbey road';
+  card.hass = createHass({ language: 'sv' });
+
+  assert.equal($(card, '.title-text').textContent, 'Sök i Music Assistant');
+  assert.equal(card.refs.input.value, 'abbey road');
+  assert.deepEqual(card.selectedMediaPlayers, ['media_player.kitchen']);
+});
+
+test('names the media type in the popup title in the card language', async () => {
+  const card = await mountCard({ ...CONFIG, default_media_type: 'album', language: 'nl' });
+  await search(card, 'abbey road');
+  assert.equal($(card, '.popup h2').textContent, 'Zoekresultaten voor: "abbey road" (Album)');
+
+  card.setConfig({ ...CONFIG, language: 'sv' });
+  await search(card, 'abbey road');
+  assert.equal($(card, '.popup h2').textContent, 'Sökresultat för: "abbey road" (Alla)');
+});
+
+test('labels the editor fields in the configured or Home Assistant language', () => {
+  const editor = document.createElement('mass-search-card-editor');
+  editor.setConfig({ language: 'cs' });
+  const label = (name) => editor.shadowRoot.querySelector('ha-form').computeLabel({ name });
+  assert.equal(label('default_player'), 'Výchozí přehrávač médií');
+
+  editor.setConfig({});
+  editor.hass = createHass({ language: 'sk' });
+  assert.equal(label('layout'), 'Rozloženie');
+  editor.setConfig({ translations: { sk: { editor_layout: 'Vzhľad' } } });
+  assert.equal(label('layout'), 'Vzhľad');
+  assert.equal(label('not_an_option'), 'not_an_option');
+});
+
+test('closes the popup with the close button and with Escape', async () => {
+  const card = await mountCard(CONFIG);
+  await search(card, 'abbey road');
+  $(card, '.popup .close-btn').click();
+  assert.equal($(card, '.overlay'), null);
+
+  await search(card, 'abbey road');
+  escape();
+  assert.equal($(card, '.overlay'), null);
+  assert.equal(card._popup, null);
+});
+
+test('keeps the results in the card with `layout: inline`', async () => {
+  const card = await mountCard({ ...CONFIG, layout: 'inline' });
+  await search(card, 'abbey road');
+
+  assert.equal($(card, '.overlay'), null);
+  assert.ok(card.refs.resultsHost.querySelector('.popup.embedded[role="region"]'));
+  escape();
+  assert.ok(card._popup);
+});
+
+test('stops listening to the page once disconnected', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'abbey road');
+  card.remove();
+
+  escape();
+  assert.ok(card._popup, 'Escape no longer reaches the card');
+
+  window.history.replaceState(null, '', '/lovelace/0?mass_query=help');
+  window.dispatchEvent(new Event('location-changed'));
+  await flush();
+  assert.equal(hass.callsOf('service', 'music_assistant.search').length, 1);
+  assert.equal(card._nowPlayingTimer, null);
+});
+
+test('listens to the page again when put back', async () => {
+  const card = await mountCard(CONFIG);
+  const parent = card.parentNode;
+  card.remove();
+  parent.appendChild(card);
+
+  await search(card, 'abbey road');
+  escape();
+  assert.equal(card._popup, null);
+
+  const { root, btn } = card.refs.playerDrop;
+  btn.click();
+  assert.ok(root.classList.contains('open'));
+  document.body.click();
+  assert.ok(!root.classList.contains('open'));
+});
+
+test('runs a URL search again after being put back on the page', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  const parent = card.parentNode;
+  card.remove();
+  parent.appendChild(card);
+
+  window.history.replaceState(null, '', '/lovelace/0#mass_query=abbey%20road');
+  window.dispatchEvent(new Event('hashchange'));
+  await flush();
+  assert.equal(hass.callsOf('service', 'music_assistant.search')[0].data.name, 'abbey road');
+
+  card.remove();
+  window.history.replaceState(null, '', '/lovelace/1?mass_query=help');
+  parent.appendChild(card);
+  await flush();
+  assert.equal(hass.callsOf('service', 'music_assistant.search')[1].data.name, 'help');
+});
+
+test('does not add its page listeners twice when the config changes', async () => {
+  const card = await mountCard(CONFIG);
+  card.setConfig({ ...CONFIG, hide_title: true });
+  card.setConfig({ ...CONFIG, hide_logo: true });
+  const closed = [];
+  card._popup = { embedded: false };
+  card._closePopup = () => closed.push(card._popup);
+  escape();
+  assert.equal(closed.length, 1);
+});
+
+test('runs the search given in the dashboard URL, once', async () => {
+  window.history.replaceState(null, '', '/lovelace/0?mass_query=abbey%20road&mass_type=album');
+  const hass = createHass();
+  const card = await mountCard({ default_player: 'media_player.kitchen' }, hass);
+  await flush();
+
+  const [call] = hass.callsOf('service', 'music_assistant.search');
+  assert.equal(call.data.name, 'abbey road');
+  assert.equal(call.data.media_type, 'album');
+  assert.equal(window.location.search, '');
+  assert.equal(card.selectedMediaType, 'album');
+});
+
+test('remembers the query and selections for the next card on this browser', async () => {
+  const first = await mountCard(CONFIG);
+  await search(first, 'abbey road');
+  first.refs.input.dispatchEvent(new Event('change'));
+  first.remove();
+
+  const second = await mountCard(CONFIG);
+  assert.equal(second.refs.input.value, 'abbey road');
+  assert.equal(second.selectedMediaType, 'all');
+});
+
+test('reports its size per layout', () => {
+  const card = document.createElement('mass-search-card');
+  card.setConfig({});
+  assert.equal(card.getCardSize(), 7);
+  card.setConfig({ layout: 'compact' });
+  assert.equal(card.getCardSize(), 2);
+  assert.deepEqual(card.getGridOptions(), { rows: 2, columns: 12, min_rows: 1, min_columns: 6 });
+  card.setConfig({ layout: 'panel' });
+  assert.equal(card.getLayoutOptions().grid_columns, 'full');
+});
+
+test('keeps the saved state through config edits and moves it when the players change', async () => {
+  const card = await mountCard(CONFIG);
+  await search(card, 'abbey road');
+  const history = [{ query: 'abbey road', type: 'all' }];
+  const keys = () => Object.keys(localStorage).filter((k) => k.startsWith('mass-search-card:') && k !== 'mass-search-card:cache');
+
+  card.setConfig({ ...CONFIG, hide_logo: true, language: 'nl', layout: 'compact' });
+  assert.deepEqual(card._loadState().history, history);
+  const [slot] = keys();
+
+  card.setConfig({ ...CONFIG, default_player: 'media_player.living_room' });
+  assert.deepEqual(card._loadState().history, history);
+  assert.equal(keys().length, 1);
+  assert.notEqual(keys()[0], slot);
+});
+
+test('takes over the state saved under the whole-config key of earlier versions', async () => {
+  const card = document.createElement('mass-search-card');
+  const legacy = card._hashedStorageKey(JSON.stringify(CONFIG));
+  localStorage.setItem(legacy, JSON.stringify({ query: 'abbey road', history: [{ query: 'abbey road', type: 'all' }] }));
+
+  const mounted = await mountCard(CONFIG);
+  assert.equal(mounted.refs.input.value, 'abbey road');
+  assert.equal(localStorage.getItem(legacy), null);
+});
+
+test('keeps only submitted searches in the recent searches, not live ones', async () => {
+  const card = await mountCard({ ...CONFIG, live_search: true });
+  for (const text of ['abb', 'abbey', 'abbey road']) {
+    card.refs.input.value = text;
+    await card._runSearch({ submitted: false });
+  }
+  await search(card, 'abbey road');
+  assert.deepEqual(card._loadState().history, [{ query: 'abbey road', type: 'all' }]);
+});
+
+test('a saved player does not stop `follow_active` after a reload', async () => {
+  const first = await mountCard({ follow_active: true });
+  first._selectPlayers(['media_player.kitchen']);
+  first.remove();
+
+  const hass = createHass();
+  hass.states['media_player.living_room'].state = 'playing';
+  const second = await mountCard({ follow_active: true }, hass);
+  assert.deepEqual(second.selectedMediaPlayers, ['media_player.living_room']);
+});
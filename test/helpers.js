@@ -0,0 +1,170 @@
+// Test harness: a headless DOM (happy-dom) with the card loaded as Home Assistant loads
+// it (a plain script that defines the custom elements), and a fake `hass` that records
+// what the card asks of Home Assistant and answers with canned Music Assistant data.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { after } = require('node:test');
+const { GlobalRegistrator } = require('@happy-dom/global-registrator');
+
+GlobalRegistrator.register({ url: 'http://homeassistant.local:8123/lovelace/0' });
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'mass-search-card.js'), 'utf8'), { filename: 'mass-search-card.js' });
+after(() => {
+  document.body.innerHTML = ''; // disconnect the last cards while the DOM globals still exist
+  GlobalRegistrator.unregister();
+});
+
+const ENTRY = { entry_id: 'mass_entry_1', domain: 'music_assistant', title: 'Music Assistant', state: 'loaded' };
+
+const SEARCH_RESPONSE = {
+  artists: [
+    { uri: 'library://artist/1', name: 'The Beatles', media_type: 'artist', image: 'https://img.example/beatles.jpg' },
+  ],
+  tracks: [
+    { uri: 'library://track/1', name: 'Come Together', media_type: 'track', duration: 259, artists: [{ name: 'The Beatles' }], album: { name: 'Abbey Road' } },
+    { uri: 'library://track/2', name: 'Something', media_type: 'track', duration: 182, artists: [{ name: 'The Beatles' }], album: { name: 'Abbey Road' } },
+  ],
+  albums: [
+    { uri: 'library://album/1', name: 'Abbey Road', media_type: 'album', year: 1969, artists: [{ name: 'The Beatles' }] },
+  ],
+  radio: [],
+  playlists: [],
+};
+
+// `media_player/browse_media` of an album: its tracks as BrowseMedia children
+const ALBUM_LISTING = {
+  title: 'Abbey Road',
+  media_content_id: 'library://album/1',
+  children: [
+    { title: 'Come Together', media_content_id: 'library://track/1', media_class: 'track', thumbnail: 'https://img.example/abbey.jpg' },
+    { title: 'Something', media_content_id: 'library://track/2', media_class: 'track', thumbnail: null },
+  ],
+};
+
+// media_player states as Music Assistant exposes them (`mass_player_type`), plus one it does not own
+function playerStates(players = { kitchen: 'Kitchen', living_room: 'Living Room' }) {
+  const states = {
+    'media_player.tv': { entity_id: 'media_player.tv', state: 'off', attributes: { friendly_name: 'TV' } },
+  };
+  Object.entries(players).forEach(([id, name]) => {
+    states[`media_player.${id}`] = {
+      entity_id: `media_player.${id}`,
+      state: 'idle',
+      attributes: { friendly_name: name, mass_player_type: 'player' },
+      last_changed: '2025-01-01T00:00:00Z',
+    };
+  });
+  return states;
+}
+
+// The services Home Assistant registers for the domains the card uses; any other name is
+// rejected like Home Assistant does, so a made-up service fails the tests
+const KNOWN_SERVICES = {
+  music_assistant: ['play_media', 'play_announcement', 'transfer_queue', 'search', 'get_library', 'get_queue'],
+  media_player: ['join', 'unjoin', 'media_play', 'media_pause', 'media_play_pause', 'media_next_track', 'media_previous_track', 'media_seek', 'volume_set', 'volume_mute'],
+  persistent_notification: ['create', 'dismiss'],
+};
+
+// `services`: 'domain.service' → (data) => response, also for services not in KNOWN_SERVICES
+// (e.g. a script); a function that throws rejects the call.
+// `messages`: websocket type → (msg) => result, for `callWS`.
+// Search answers with SEARCH_RESPONSE unless overridden. `returnResponse: false` makes
+// `callService` resolve without a response, like older frontends, so the card falls back
+// to `connection.sendMessagePromise`.
+function createHass({ states = playerStates(), entries = [ENTRY], services = {}, messages = {}, returnResponse = true, language = 'en' } = {}) {
+  const handlers = { 'music_assistant.search': () => SEARCH_RESPONSE, ...services };
+  const wsHandlers = { fire_event: () => null, 'media_player/browse_media': () => ALBUM_LISTING, ...messages };
+  const calls = [];
+  const answer = async (domain, service, data) => {
+    const handler = handlers[`${domain}.${service}`];
+    return handler ? handler(data) : undefined;
+  };
+  return {
+    language,
+    states,
+    entities: {},
+    devices: {},
+    user: { is_admin: true },
+    calls,
+    // Only the calls of one kind ('service', 'api', 'ws', 'message'), optionally one service
+    callsOf(type, name) {
+      return calls.filter((c) => c.type === type && (!name || `${c.domain}.${c.service}` === name));
+    },
+    async callService(domain, service, data, options) {
+      calls.push({ type: 'service', domain, service, data, options });
+      if (!KNOWN_SERVICES[domain]?.includes(service) && !handlers[`${domain}.${service}`]) {
+        throw { code: 'service_not_found', message: `Service ${domain}.${service} not found.` };
+      }
+      const response = await answer(domain, service, data);
+      if (!options?.return_response || !returnResponse) return undefined;
+      return { context: { id: 'ctx' }, response };
+    },
+    async callApi(method, apiPath) {
+      calls.push({ type: 'api', method, path: apiPath });
+      if (apiPath === 'config/config_entries/entry') {
+        if (entries instanceof Error) throw entries;
+        return entries;
+      }
+      throw new Error(`Unexpected API call ${method} ${apiPath}`);
+    },
+    async callWS(msg) {
+      calls.push({ type: 'ws', msg });
+      const handler = wsHandlers[msg.type];
+      if (!handler) throw { code: 'unknown_command', message: `Unknown command ${msg.type}.` };
+      return handler(msg);
+    },
+    connection: {
+      async sendMessagePromise(msg) {
+        calls.push({ type: 'message', msg });
+        return { response: await answer(msg.domain, msg.service, msg.service_data) };
+      },
+    },
+  };
+}
+
+// Lets pending promises (service calls, the entries request) settle
+async function flush(times = 5) {
+  for (let i = 0; i < times; i++) await new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// A connected card with `config` and `hass`, once the Music Assistant entries are loaded
+async function mountCard(config = {}, hass = createHass()) {
+  const card = document.createElement('mass-search-card');
+  card.setConfig(config);
+  document.body.appendChild(card);
+  card.hass = hass;
+  await flush();
+  return card;
+}
+
+function resetDom() {
+  document.body.innerHTML = '';
+  localStorage.clear();
+  window.history.replaceState(null, '', '/lovelace/0');
+}
+
+const $ = (card, selector) => card.shadowRoot.querySelector(selector);
+const $$ = (card, selector) => [...card.shadowRoot.querySelectorAll(selector)];
+
+// Types a query and runs the search the way Enter does, without the debounce
+async function search(card, query) {
+  card.refs.input.value = query;
+  await card._runSearch();
+  await flush();
+}
+
+// Runs `fn` with console.error silenced, for paths where the card logs the error it shows
+async function quietly(fn) {
+  const log = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = log;
+  }
+}
+
+// Module-level declarations of the card script (`parseQuery`, `validateConfig`, ...)
+const cardScope = (name) => vm.runInThisContext(name);
+
+module.exports = { ENTRY, SEARCH_RESPONSE, ALBUM_LISTING, playerStates, createHass, mountCard, flush, resetDom, search, quietly, cardScope, $, $$ };
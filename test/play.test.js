@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHass, mountCard, resetDom, search, flush, quietly, $, $$ } = require('./helpers');
+
+const CONFIG = { default_player: 'media_player.kitchen', default_media_type: 'track' };
+
+test.beforeEach(resetDom);
+
+// The popup row of the result called `name`
+function row(card, name) {
+  return $$(card, '.popup .result-row').find((r) => r.querySelector('.text-primary').textContent === name);
+}
+
+test('plays a clicked result on the selected player', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'come together');
+  row(card, 'Come Together').querySelector('.result-btn').click();
+  await flush();
+
+  const [call] = hass.callsOf('service', 'music_assistant.play_media');
+  assert.deepEqual(call.data, { entity_id: 'media_player.kitchen', media_type: 'track', media_id: 'library://track/1' });
+  assert.equal($(card, '.snackbar').textContent, `${card.t.playing_media} Come Together`);
+});
+
+test('marks the player dropdown when a result is clicked with no player selected', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'come together');
+  card._selectPlayers([]);
+  row(card, 'Come Together').querySelector('.result-btn').click();
+  await flush();
+
+  assert.equal(hass.callsOf('service', 'music_assistant.play_media').length, 0);
+  assert.ok(card.refs.playerDrop.root.classList.contains('invalid'));
+  assert.equal(card.refs.fieldHint.textContent, card.t.dropdown_label_media_player);
+});
+
+test('uses the enqueue mode and radio mode from the config', async () => {
+  const hass = createHass();
+  const card = await mountCard({ ...CONFIG, enqueue_mode: 'next', radio_mode: true }, hass);
+  await search(card, 'come together');
+  row(card, 'Something').querySelector('.result-btn').click();
+  await flush();
+
+  const [call] = hass.callsOf('service', 'music_assistant.play_media');
+  assert.equal(call.data.enqueue, 'next');
+  assert.equal(call.data.radio_mode, true);
+});
+
+test('plays with the enqueue mode picked in the row menu', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'come together');
+  const options = [...row(card, 'Come Together').querySelectorAll('.row-menu [role="option"]')];
+  options.find((o) => o.textContent === card.t.enqueue_add).click();
+  await flush();
+
+  assert.equal(hass.callsOf('service', 'music_assistant.play_media')[0].data.enqueue, 'add');
+});
+
+test('groups several players behind the first one before playing', async () => {
+  const hass = createHass();
+  const card = await mountCard({ ...CONFIG, group_players: true }, hass);
+  card._selectPlayers(['media_player.kitchen', 'media_player.living_room']);
+  await search(card, 'come together');
+  row(card, 'Come Together').querySelector('.result-btn').click();
+  await flush();
+
+  const services = hass.callsOf('service').map((c) => `${c.domain}.${c.service}`);
+  assert.deepEqual(services.slice(-2), ['media_player.join', 'music_assistant.play_media']);
+  assert.deepEqual(hass.callsOf('service', 'media_player.join')[0].data, { entity_id: 'media_player.kitchen', group_members: ['media_player.living_room'] });
+  assert.equal(hass.callsOf('service', 'music_assistant.play_media')[0].data.entity_id, 'media_player.kitchen');
+});
+
+test('sends to every selected player when they are not grouped', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  card._selectPlayers(['media_player.kitchen', 'media_player.living_room']);
+  await search(card, 'come together');
+  row(card, 'Come Together').querySelector('.result-btn').click();
+  await flush();
+
+  assert.equal(hass.callsOf('service', 'media_player.join').length, 0);
+  assert.deepEqual(hass.callsOf('service', 'music_assistant.play_media')[0].data.entity_id, ['media_player.kitchen', 'media_player.living_room']);
+});
+
+test('announces what was played on the page and on the Home Assistant bus', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  const events = [];
+  card.addEventListener('mass-search-card-played', (e) => events.push(e.detail));
+  await search(card, 'come together');
+  row(card, 'Come Together').querySelector('.result-btn').click();
+  await flush();
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].item.uri, 'library://track/1');
+  assert.deepEqual(events[0].players, ['media_player.kitchen']);
+  const [fired] = hass.callsOf('ws');
+  assert.equal(fired.msg.type, 'fire_event');
+  assert.equal(fired.msg.event_type, 'mass_search_card_played');
+  assert.deepEqual(fired.msg.event_data, events[0]);
+});
+
+test('does not try to fire the bus event for a user who is not an admin', async () => {
+  const hass = createHass();
+  hass.user = { is_admin: false };
+  const card = await mountCard(CONFIG, hass);
+  const events = [];
+  card.addEventListener('mass-search-card-played', (e) => events.push(e.detail));
+  await search(card, 'come together');
+  row(card, 'Come Together').querySelector('.result-btn').click();
+  await flush();
+
+  assert.equal(events.length, 1);
+  assert.equal(hass.callsOf('ws').filter((c) => c.msg.type === 'fire_event').length, 0);
+});
+
+test('shows an error in the popup when playing fails', async () => {
+  const hass = createHass({ services: { 'music_assistant.play_media': () => { throw new Error('Player is unavailable'); } } });
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'come together');
+  await quietly(async () => {
+    row(card, 'Come Together').querySelector('.result-btn').click();
+    await flush();
+  });
+
+  const banner = $(card, '.popup .error-banner');
+  assert.ok(banner);
+  assert.equal(banner.querySelector('.error-detail').textContent, 'Player is unavailable');
+  assert.equal($(card, '.snackbar'), null);
+});
+
+test('shows library and favourite state without offering to change it', async () => {
+  const hass = createHass({
+    services: {
+      'music_assistant.search': () => ({
+        tracks: [
+          { uri: 'library://track/1', name: 'Come Together', media_type: 'track', provider: 'library', favorite: true },
+          { uri: 'spotify://track/9', name: 'Something', media_type: 'track', provider: 'spotify', favorite: false },
+        ],
+      }),
+    },
+  });
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'come together');
+
+  const flags = (name) => [...row(card, name).querySelectorAll('.flag-badge')].map((b) => b.getAttribute('aria-label'));
+  assert.deepEqual(flags('Come Together'), [card.t.in_library, card.t.is_favorite]);
+  assert.deepEqual(flags('Something'), []);
+  assert.equal(row(card, 'Come Together').querySelector('button.flag-badge'), null);
+});
+
+test('reports a service Home Assistant does not have', async () => {
+  const hass = createHass();
+  const card = await mountCard({ ...CONFIG, double_tap_action: { action: 'perform-action', perform_action: 'music_assistant.add_to_favorites' } }, hass);
+  await search(card, 'come together');
+  await quietly(() => card._performAction(card.config.double_tap_action, { uri: 'library://track/1' }, 'track'));
+
+  assert.equal($(card, '.popup .error-banner .error-detail').textContent, 'Service music_assistant.add_to_favorites not found.');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ENTRY, createHass, mountCard, playerStates, resetDom } = require('./helpers');
+
+test.beforeEach(resetDom);
+
+const players = (card) => card.mediaPlayerEntities.map((p) => `${p.entity_id}=${p.name}`);
+
+test('lists only Music Assistant players', async () => {
+  const card = await mountCard();
+  assert.deepEqual(players(card), ['media_player.kitchen=Kitchen', 'media_player.living_room=Living Room']);
+});
+
+test('follows `entities` order, `exclude_entities` and `player_names`', async () => {
+  const hass = createHass({ states: playerStates({ kitchen: 'Kitchen', living_room: 'Living Room', patio: 'Patio' }) });
+  const card = await mountCard({
+    entities: ['media_player.patio', 'media_player.tv', 'media_player.kitchen', 'media_player.living_room'],
+    exclude_entities: ['media_player.living_room'],
+    player_names: { 'media_player.kitchen': 'Keuken' },
+  }, hass);
+  assert.deepEqual(players(card), ['media_player.patio=Patio', 'media_player.kitchen=Keuken']);
+});
+
+test('updates the list when players appear on a later hass', async () => {
+  const card = await mountCard();
+  card.hass = createHass({ states: playerStates({ kitchen: 'Kitchen', bedroom: 'Bedroom' }) });
+  assert.deepEqual(players(card), ['media_player.kitchen=Kitchen', 'media_player.bedroom=Bedroom']);
+  const options = [...card.refs.playerDrop.list.querySelectorAll('[role="option"]')].map((o) => o.textContent);
+  assert.ok(options.some((text) => text.includes('Bedroom')));
+});
+
+test('with several servers lists only the players of the chosen one', async () => {
+  const second = { ...ENTRY, entry_id: 'mass_entry_2', title: 'Upstairs' };
+  const hass = createHass({ entries: [ENTRY, second] });
+  hass.entities = {
+    'media_player.kitchen': { device_id: 'dev_kitchen' },
+    'media_player.living_room': { device_id: 'dev_living' },
+  };
+  hass.devices = {
+    dev_kitchen: { config_entries: ['mass_entry_1'] },
+    dev_living: { config_entries: ['mass_entry_2'] },
+  };
+  const card = await mountCard({}, hass);
+  assert.deepEqual(players(card), ['media_player.kitchen=Kitchen']);
+  assert.equal(card.refs.entryDrop.root.style.display, '');
+
+  card._selectEntry('mass_entry_2');
+  assert.equal(card.configEntryId, 'mass_entry_2');
+  assert.deepEqual(players(card), ['media_player.living_room=Living Room']);
+});
+
+test('uses `config_entry` as is when the entries cannot be listed', async () => {
+  const hass = createHass({ entries: new Error('Unauthorized') });
+  const card = await mountCard({ config_entry: 'my_entry' }, hass);
+  assert.equal(card.configEntryId, 'my_entry');
+  assert.equal(card.refs.entryError.style.display, 'none');
+});
+
+test('preselects and follows the active player with `follow_active`', async () => {
+  const states = playerStates();
+  states['media_player.living_room'].state = 'playing';
+  const card = await mountCard({ follow_active: true }, createHass({ states }));
+  assert.deepEqual(card.selectedMediaPlayers, ['media_player.living_room']);
+});
+
+test('keeps the focused player option through unrelated hass updates', async () => {
+  const card = await mountCard();
+  const list = card.refs.playerDrop.list;
+  const option = list.querySelector('[data-key="media_player.living_room"]');
+  option.focus();
+
+  card.hass = createHass();
+  assert.equal(list.querySelector('[data-key="media_player.living_room"]'), option);
+  assert.equal(card.shadowRoot.activeElement, option);
+
+  const states = playerStates();
+  states['media_player.living_room'].state = 'playing';
+  card.hass = createHass({ states });
+  assert.notEqual(list.querySelector('[data-key="media_player.living_room"]'), option);
+  assert.equal(card.shadowRoot.activeElement.dataset.key, 'media_player.living_room');
+});
@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SEARCH_RESPONSE, createHass, mountCard, resetDom, search, flush, quietly, $, $$ } = require('./helpers');
+
+const CONFIG = { default_player: 'media_player.kitchen', default_media_type: 'all' };
+
+test.beforeEach(resetDom);
+
+test('searches through callService with the entry, type and limit', async () => {
+  const hass = createHass();
+  const card = await mountCard({ ...CONFIG, default_limit: 10 }, hass);
+  await search(card, 'abbey road');
+
+  const [call] = hass.callsOf('service', 'music_assistant.search');
+  assert.deepEqual(call.data, {
+    config_entry_id: 'mass_entry_1',
+    name: 'abbey road',
+    media_type: ['artist', 'track', 'album', 'radio', 'playlist'],
+    limit: 10,
+    library_only: false,
+  });
+  assert.deepEqual(call.options, { return_response: true });
+  assert.equal(hass.callsOf('message').length, 0);
+});
+
+test('falls back to the websocket when callService returns no response', async () => {
+  const hass = createHass({ returnResponse: false });
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'abbey road');
+
+  const [message] = hass.callsOf('message');
+  assert.equal(message.msg.type, 'call_service');
+  assert.equal(message.msg.service, 'search');
+  assert.equal(message.msg.return_response, true);
+  assert.equal(message.msg.service_data.name, 'abbey road');
+  assert.equal($$(card, '.popup .result-row').length, 4);
+});
+
+test('shows every result type of an "all" search in its own section', async () => {
+  const card = await mountCard(CONFIG);
+  await search(card, 'abbey road');
+
+  assert.ok($(card, '.overlay .popup[role="dialog"]'));
+  const titles = $$(card, '.popup .text-primary').map((el) => el.textContent);
+  assert.deepEqual(titles, ['The Beatles', 'Come Together', 'Something', 'Abbey Road']);
+  assert.equal($$(card, '.popup .result-section').length, 3);
+});
+
+test('merges a next page into the groups already shown, without duplicates', async () => {
+  const tracks = Array.from({ length: 4 }, (_, i) => ({ uri: `library://track/${i}`, name: `Track ${i}`, media_type: 'track' }));
+  const hass = createHass({ services: { 'music_assistant.search': ({ limit }) => ({ tracks: tracks.slice(0, limit) }) } });
+  const card = await mountCard({ ...CONFIG, default_media_type: 'track', default_limit: 2 }, hass);
+  await search(card, 'track');
+  assert.equal($$(card, '.popup .result-row').length, 2);
+
+  $(card, '.popup .load-more').click();
+  await flush();
+  assert.deepEqual($$(card, '.popup .text-primary').map((el) => el.textContent), ['Track 0', 'Track 1', 'Track 2', 'Track 3']);
+  assert.equal(hass.callsOf('service', 'music_assistant.search').at(-1).data.limit, 4);
+});
+
+test('does not page a search with limit 0', async () => {
+  const hass = createHass();
+  const card = await mountCard({ ...CONFIG, default_limit: 0 }, hass);
+  await search(card, 'abbey road');
+
+  assert.equal(hass.callsOf('service', 'music_assistant.search')[0].data.limit, 0);
+  assert.equal($(card, '.popup .load-more'), null);
+});
+
+test('stops loading by scrolling after a failed page until the user asks again', async (t) => {
+  const observers = [];
+  const original = globalThis.IntersectionObserver;
+  globalThis.IntersectionObserver = class {
+    constructor(callback) { this.callback = callback; observers.push(this); }
+    observe() {}
+    disconnect() {}
+  };
+  t.after(() => { globalThis.IntersectionObserver = original; });
+  const seen = () => observers.at(-1).callback([{ isIntersecting: true }]);
+
+  let fail = true;
+  const tracks = Array.from({ length: 4 }, (_, i) => ({ uri: `library://track/${i}`, name: `Track ${i}`, media_type: 'track' }));
+  const hass = createHass({
+    services: {
+      'music_assistant.search': ({ limit }) => {
+        if (limit > 2 && fail) throw new Error('Music Assistant is not reachable');
+        return { tracks: tracks.slice(0, limit) };
+      },
+    },
+  });
+  const card = await mountCard({ ...CONFIG, default_media_type: 'track', default_limit: 2 }, hass);
+  await search(card, 'track');
+  const calls = () => hass.callsOf('service', 'music_assistant.search').length;
+
+  await quietly(async () => { seen(); await flush(); });
+  assert.equal(calls(), 2);
+  seen();
+  seen();
+  await flush();
+  assert.equal(calls(), 2);
+
+  fail = false;
+  $(card, '.error-banner .error-retry').click();
+  await flush();
+  assert.equal(calls(), 3);
+  assert.equal($$(card, '.popup .result-row').length, 4);
+});
+
+test('asks for a player and a media type before searching', async () => {
+  const hass = createHass();
+  const card = await mountCard({}, hass);
+  await search(card, 'abbey road');
+
+  assert.equal(hass.callsOf('service', 'music_assistant.search').length, 0);
+  assert.ok(card.refs.playerDrop.root.classList.contains('invalid'));
+  assert.equal(card.refs.fieldHint.textContent, card.t.dropdown_label_media_player);
+
+  card._selectPlayers(['media_player.kitchen']);
+  await search(card, 'abbey road');
+  assert.ok(card.refs.mediaTypeDrop.root.classList.contains('invalid'));
+  assert.equal(card.refs.fieldHint.textContent, card.t.select_media_type);
+  assert.equal(hass.callsOf('service', 'music_assistant.search').length, 0);
+});
+
+test('shows the error with its detail and retries the search', async () => {
+  let fail = true;
+  const hass = createHass({
+    services: {
+      'music_assistant.search': () => {
+        if (fail) throw Object.assign(new Error('Music Assistant is not reachable'), { code: 'unknown_error' });
+        return SEARCH_RESPONSE;
+      },
+    },
+  });
+  const card = await mountCard(CONFIG, hass);
+  await quietly(() => search(card, 'abbey road'));
+
+  assert.equal($(card, '.error-banner .error-text').firstChild.textContent, card.t.error_fetching);
+  assert.equal($(card, '.error-banner .error-detail').textContent, 'Music Assistant is not reachable');
+  assert.equal(hass.callsOf('service', 'persistent_notification.create').length, 0);
+
+  fail = false;
+  $(card, '.error-banner .error-retry').click();
+  await flush();
+  assert.equal($(card, '.error-banner'), null);
+  assert.equal($$(card, '.popup .result-row').length, 4);
+});
+
+test('reports a missing Music Assistant integration instead of searching', async () => {
+  const hass = createHass({ entries: [] });
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'abbey road');
+
+  assert.equal(card.refs.entryError.textContent, card.t.error_no_integration);
+  assert.equal(hass.callsOf('service', 'music_assistant.search').length, 0);
+});
+
+test('answers a repeated search from the cache', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'abbey road');
+  card._closePopup();
+  await search(card, 'abbey road');
+
+  assert.equal(hass.callsOf('service', 'music_assistant.search').length, 1);
+  assert.equal($$(card, '.popup .result-row').length, 4);
+});
+
+test('parses the media type, artist and player out of the query', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'play album Abbey Road by The Beatles in living room');
+
+  const [call] = hass.callsOf('service', 'music_assistant.search');
+  assert.equal(call.data.name, 'Abbey Road');
+  assert.equal(call.data.artist, 'The Beatles');
+  assert.equal(call.data.media_type, 'album');
+  assert.deepEqual(card.selectedMediaPlayers, ['media_player.living_room']);
+});
+
+test('uses a parsed media type for that search only', async () => {
+  const hass = createHass();
+  const card = await mountCard({ ...CONFIG, default_media_type: 'track' }, hass);
+  await search(card, 'Radio Ga Ga');
+  await search(card, 'play radio 538');
+  await search(card, 'Stand by Me');
+
+  const calls = hass.callsOf('service', 'music_assistant.search').map((c) => `${c.data.media_type}:${c.data.name}`);
+  assert.deepEqual(calls, ['track:Radio Ga Ga', 'radio:538', 'track:Stand by Me']);
+  assert.equal(card.selectedMediaType, 'track');
+  assert.equal(card._loadState().mediaType, undefined);
+});
+
+test('fires a search event with the result count', async () => {
+  const card = await mountCard(CONFIG);
+  const events = [];
+  card.addEventListener('mass-search-card-search', (e) => events.push(e.detail));
+  await search(card, 'abbey road');
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].query, 'abbey road');
+  assert.equal(events[0].results, 4);
+});
+
+test('lists the tracks of an album through the media browser of the selected player', async () => {
+  const hass = createHass();
+  const card = await mountCard(CONFIG, hass);
+  await search(card, 'abbey road');
+  $$(card, '.popup .browse-btn').find((b) => b.getAttribute('aria-label').endsWith('Abbey Road')).click();
+  await flush();
+
+  const [browse] = hass.callsOf('ws').filter((c) => c.msg.type === 'media_player/browse_media');
+  assert.deepEqual(browse.msg, {
+    type: 'media_player/browse_media', entity_id: 'media_player.kitchen', media_content_id: 'library://album/1', media_content_type: 'album',
+  });
+  assert.deepEqual($$(card, '.popup .text-primary').map((el) => el.textContent), ['Come Together', 'Something']);
+  assert.equal($(card, '.popup h2').textContent, 'Abbey Road');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cardScope } = require('./helpers');
+
+const parseQuery = cardScope('parseQuery');
+const QUERY_WORDS = cardScope('QUERY_WORDS');
+
+const words = QUERY_WORDS.en;
+const players = [{ entity_id: 'media_player.kitchen_2', name: 'Kitchen' }, { entity_id: 'media_player.living_room', name: 'Living Room Speaker' }];
+const parse = (text) => parseQuery(text, { words, players });
+
+test('parseQuery: type, artist and player', () => {
+  assert.deepEqual(parse('play album Abbey Road by The Beatles'), { mediaType: 'album', artist: 'The Beatles', name: 'Abbey Road' });
+  assert.deepEqual(parse('play radio 538 in kitchen'), { mediaType: 'radio', player: 'media_player.kitchen_2', name: '538' });
+  assert.deepEqual(parse('playlist:chill'), { mediaType: 'playlist', name: 'chill' });
+  assert.deepEqual(parse('Abbey Road on living room'), { player: 'media_player.living_room', name: 'Abbey Road' });
+});
+
+test('parseQuery: leaves titles that only look like phrases alone', () => {
+  assert.deepEqual(parse('Stand by Me'), { name: 'Stand by Me' });
+  assert.deepEqual(parse('Love in Vain'), { name: 'Love in Vain' });
+  assert.deepEqual(parse('play "Radio Ga Ga"'), { name: 'Radio Ga Ga' });
+  assert.deepEqual(parse('radio'), { name: 'radio' });
+  assert.deepEqual(parse('Radio Ga Ga'), { name: 'Radio Ga Ga' });
+  assert.deepEqual(parse('Station to Station'), { name: 'Station to Station' });
+  assert.deepEqual(parse('Song 2'), { name: 'Song 2' });
+});
+
+test('parseQuery: an artist on its own becomes the name', () => {
+  assert.deepEqual(parse('play albums by Queen'), { mediaType: 'album', name: 'Queen' });
+});
+
+test('_safeImage only lets https images through', () => {
+  const card = document.createElement('mass-search-card');
+  const fallback = card._fallbackAvatar();
+  assert.equal(card._safeImage('https://img.example/a.jpg'), 'https://img.example/a.jpg');
+  assert.equal(card._safeImage('http://img.example/a.jpg'), fallback);
+  assert.equal(card._safeImage('javascript:alert(1)'), fallback);
+  assert.equal(card._safeImage(''), fallback);
+  assert.equal(card._safeImage(undefined), fallback);
+});
+
+test('_localOrSafeImage also allows same-origin paths and inline images', () => {
+  const card = document.createElement('mass-search-card');
+  const fallback = card._fallbackAvatar();
+  assert.equal(card._localOrSafeImage('/api/media_player_proxy/x'), '/api/media_player_proxy/x');
+  assert.equal(card._localOrSafeImage('data:image/png;base64,AAAA'), 'data:image/png;base64,AAAA');
+  assert.equal(card._localOrSafeImage('//evil.example/a.png'), fallback);
+  assert.equal(card._localOrSafeImage('data:text/html,<script>'), fallback);
+});
+
+test('plural forms and number formats follow the language', () => {
+  const card = document.createElement('mass-search-card');
+  card.setConfig({ language: 'cs' });
+  assert.equal(card._plural('results_count', 1), '1 výsledek');
+  assert.equal(card._plural('results_count', 3), '3 výsledky');
+  assert.equal(card._plural('results_count', 5), '5 výsledků');
+  card.setConfig({ language: 'en', translations: { en: { search_button: 'Go' } } });
+  assert.equal(card.t.search_button, 'Go');
+  assert.equal(card._plural('results_count', 1200), '1,200 results');
+});